@@ -0,0 +1,354 @@
+/**
+ * Puzzle board model.
+ *
+ * Holds the flipped/unflipped state of every puzzle piece as a grid of bits
+ * and applies moves to it. Has no dependency on PIXI or the GameManager, so
+ * game rules can be exercised without a canvas, and sender apps can load the
+ * same file once they define the cast namespace object. Renderers subscribe
+ * with #addListener and are told which cells changed after every move.
+ *
+ * @param {number} rows Number of rows on the board.
+ * @param {number} cols Number of columns on the board.
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.PuzzleBoard = function (rows, cols) {
+    /** @private {number} */
+    this.rows_ = rows;
+
+    /** @private {number} */
+    this.cols_ = cols;
+
+    /**
+     * Flipped state per cell, indexed by row then column. True means the
+     * piece is flipped away and has to be flipped back to solve the puzzle.
+     * @private {!Array.<!Array.<boolean>>}
+     */
+    this.cells_ = [];
+    for (var row = 0; row < rows; row++) {
+        this.cells_.push([]);
+        for (var col = 0; col < cols; col++) {
+            this.cells_[row].push(false);
+        }
+    }
+
+    /**
+     * Functions called after every move.
+     * @private {!Array.<function(!Array.<!cast.games.starcast.PuzzleBoard.Cell>,
+     *     string, number)>}
+     */
+    this.listeners_ = [];
+};
+
+
+/**
+ * Moves players can make. ROW, COL, PLUS and BLOCK moves take an index, see
+ * #getMoveCells.
+ * @enum {string}
+ */
+cast.games.starcast.PuzzleBoard.MoveType = {
+    ROW: 'ROW',
+    COL: 'COL',
+    DIAGONAL: 'DIAGONAL',
+    MAIN_DIAGONAL: 'MAIN_DIAGONAL',
+    PLUS: 'PLUS',
+    BLOCK: 'BLOCK'
+};
+
+
+/**
+ * Number of BLOCK moves, one per quadrant.
+ * @const {number}
+ */
+cast.games.starcast.PuzzleBoard.BLOCK_COUNT = 4;
+
+
+/**
+ * A cell position on the board.
+ * @typedef {{row: number, col: number}}
+ */
+cast.games.starcast.PuzzleBoard.Cell;
+
+
+/** @return {number} Number of rows on the board. */
+cast.games.starcast.PuzzleBoard.prototype.getRows = function () {
+    return this.rows_;
+};
+
+
+/** @return {number} Number of columns on the board. */
+cast.games.starcast.PuzzleBoard.prototype.getCols = function () {
+    return this.cols_;
+};
+
+
+/**
+ * @param {number} row
+ * @param {number} col
+ * @return {boolean} True if the piece at row, col is flipped.
+ */
+cast.games.starcast.PuzzleBoard.prototype.isFlipped = function (row, col) {
+    return this.cells_[row][col];
+};
+
+
+/**
+ * @param {*} type
+ * @param {*} index
+ * @return {boolean} True if type is a known move type and index is in range
+ *     for it on this board.
+ */
+cast.games.starcast.PuzzleBoard.prototype.isValidMove = function (type, index) {
+    if (!this.isIndexedMove(type)) {
+        return this.getIndexCount(type) > 0;
+    }
+    return typeof index == 'number' && index % 1 == 0 && index >= 0 &&
+        index < this.getIndexCount(type);
+};
+
+
+/**
+ * @param {*} type
+ * @return {boolean} True if moves of this type need an index, i.e. every
+ *     type but the diagonals.
+ */
+cast.games.starcast.PuzzleBoard.prototype.isIndexedMove = function (type) {
+    var MoveType = cast.games.starcast.PuzzleBoard.MoveType;
+    return type == MoveType.ROW || type == MoveType.COL || type == MoveType.PLUS ||
+        type == MoveType.BLOCK;
+};
+
+
+/**
+ * @param {*} type
+ * @return {number} Number of distinct moves of this type on the board, 0 if
+ *     type is not a move type. Valid indices go from 0 to one less.
+ */
+cast.games.starcast.PuzzleBoard.prototype.getIndexCount = function (type) {
+    var MoveType = cast.games.starcast.PuzzleBoard.MoveType;
+    if (type == MoveType.ROW) {
+        return this.rows_;
+    } else if (type == MoveType.COL) {
+        return this.cols_;
+    } else if (type == MoveType.PLUS) {
+        return this.rows_ * this.cols_;
+    } else if (type == MoveType.BLOCK) {
+        return cast.games.starcast.PuzzleBoard.BLOCK_COUNT;
+    } else if (type == MoveType.DIAGONAL || type == MoveType.MAIN_DIAGONAL) {
+        return 1;
+    }
+    return 0;
+};
+
+
+/**
+ * @param {number} row
+ * @param {number} col
+ * @return {number} The index of a PLUS move centred on row, col.
+ */
+cast.games.starcast.PuzzleBoard.prototype.getCellIndex = function (row, col) {
+    return row * this.cols_ + col;
+};
+
+
+/**
+ * Returns the cells a move flips. The diagonal goes from the bottom left
+ * corner towards the top right one, the main diagonal from the top left
+ * corner towards the bottom right one, and both ignore the index. A PLUS move
+ * flips a cell and its four neighbours, its index is the cell index from
+ * #getCellIndex. A BLOCK move flips a quadrant, indexed 0 to 3 from the top
+ * left to the bottom right. Odd middle rows and columns belong to the top and
+ * left quadrants.
+ * @param {string} type One of cast.games.starcast.PuzzleBoard.MoveType.
+ * @param {number} index Row, column, cell or quadrant index.
+ * @return {!Array.<!cast.games.starcast.PuzzleBoard.Cell>}
+ */
+cast.games.starcast.PuzzleBoard.prototype.getMoveCells = function (type, index) {
+    var MoveType = cast.games.starcast.PuzzleBoard.MoveType;
+    var cells = [];
+    var i;
+    if (type == MoveType.ROW) {
+        for (i = 0; i < this.cols_; i++) {
+            cells.push({row: index, col: i});
+        }
+    } else if (type == MoveType.COL) {
+        for (i = 0; i < this.rows_; i++) {
+            cells.push({row: i, col: index});
+        }
+    } else if (type == MoveType.DIAGONAL) {
+        var length = Math.min(this.rows_, this.cols_);
+        for (i = 0; i < length; i++) {
+            cells.push({row: this.rows_ - i - 1, col: i});
+        }
+    } else if (type == MoveType.MAIN_DIAGONAL) {
+        length = Math.min(this.rows_, this.cols_);
+        for (i = 0; i < length; i++) {
+            cells.push({row: i, col: i});
+        }
+    } else if (type == MoveType.PLUS) {
+        var row = Math.floor(index / this.cols_);
+        var col = index % this.cols_;
+        var offsets = [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]];
+        for (i = 0; i < offsets.length; i++) {
+            var r = row + offsets[i][0];
+            var c = col + offsets[i][1];
+            if (r >= 0 && r < this.rows_ && c >= 0 && c < this.cols_) {
+                cells.push({row: r, col: c});
+            }
+        }
+    } else if (type == MoveType.BLOCK) {
+        var rowSplit = Math.ceil(this.rows_ / 2);
+        var colSplit = Math.ceil(this.cols_ / 2);
+        var top = index < 2 ? 0 : rowSplit;
+        var bottom = index < 2 ? rowSplit : this.rows_;
+        var left = index % 2 == 0 ? 0 : colSplit;
+        var right = index % 2 == 0 ? colSplit : this.cols_;
+        for (r = top; r < bottom; r++) {
+            for (c = left; c < right; c++) {
+                cells.push({row: r, col: c});
+            }
+        }
+    } else {
+        throw Error('Only ROW, COL, DIAGONAL, MAIN_DIAGONAL, PLUS, BLOCK are ' +
+            'allowed but received ' + type);
+    }
+    return cells;
+};
+
+
+/**
+ * Lists every distinct move on the board.
+ * @param {!Array.<string>=} opt_moveTypes Only list moves of these types.
+ * @return {!Array.<{type: string, index: number}>}
+ */
+cast.games.starcast.PuzzleBoard.prototype.listMoves = function (opt_moveTypes) {
+    var MoveType = cast.games.starcast.PuzzleBoard.MoveType;
+    var isListed = function (type) {
+        return !opt_moveTypes || opt_moveTypes.indexOf(type) != -1;
+    };
+    var moves = [];
+    if (isListed(MoveType.ROW)) {
+        for (var row = 0; row < this.rows_; row++) {
+            moves.push({type: MoveType.ROW, index: row});
+        }
+    }
+    if (isListed(MoveType.COL)) {
+        for (var col = 0; col < this.cols_; col++) {
+            moves.push({type: MoveType.COL, index: col});
+        }
+    }
+    if (isListed(MoveType.DIAGONAL)) {
+        moves.push({type: MoveType.DIAGONAL, index: 0});
+    }
+    if (isListed(MoveType.MAIN_DIAGONAL)) {
+        moves.push({type: MoveType.MAIN_DIAGONAL, index: 0});
+    }
+    if (isListed(MoveType.PLUS)) {
+        for (var i = 0; i < this.rows_ * this.cols_; i++) {
+            moves.push({type: MoveType.PLUS, index: i});
+        }
+    }
+    if (isListed(MoveType.BLOCK)) {
+        for (i = 0; i < cast.games.starcast.PuzzleBoard.BLOCK_COUNT; i++) {
+            moves.push({type: MoveType.BLOCK, index: i});
+        }
+    }
+    return moves;
+};
+
+
+/**
+ * Flips the cells of a move and notifies listeners.
+ * @param {string} type One of cast.games.starcast.PuzzleBoard.MoveType.
+ * @param {number} index Row or column index for ROW and COL moves.
+ * @return {!Array.<!cast.games.starcast.PuzzleBoard.Cell>} The flipped cells.
+ */
+cast.games.starcast.PuzzleBoard.prototype.applyMove = function (type, index) {
+    if (!this.isValidMove(type, index)) {
+        throw Error('Invalid move ' + type + ' ' + index + ' on a ' + this.rows_ +
+            'x' + this.cols_ + ' board');
+    }
+    var cells = this.getMoveCells(type, index);
+    for (var i = 0; i < cells.length; i++) {
+        var cell = cells[i];
+        this.cells_[cell.row][cell.col] = !this.cells_[cell.row][cell.col];
+    }
+
+    for (i = 0; i < this.listeners_.length; i++) {
+        this.listeners_[i](cells, type, index);
+    }
+    return cells;
+};
+
+
+/** @return {boolean} True if no piece is flipped. */
+cast.games.starcast.PuzzleBoard.prototype.isSolved = function () {
+    for (var row = 0; row < this.rows_; row++) {
+        for (var col = 0; col < this.cols_; col++) {
+            if (this.cells_[row][col]) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+
+/**
+ * Adds a function called with the flipped cells, move type and index after
+ * every move.
+ * @param {function(!Array.<!cast.games.starcast.PuzzleBoard.Cell>, string,
+ *     number)} listener
+ */
+cast.games.starcast.PuzzleBoard.prototype.addListener = function (listener) {
+    this.listeners_.push(listener);
+};
+
+
+/**
+ * @param {function(!Array.<!cast.games.starcast.PuzzleBoard.Cell>, string,
+ *     number)} listener A listener previously passed to #addListener.
+ */
+cast.games.starcast.PuzzleBoard.prototype.removeListener = function (listener) {
+    var index = this.listeners_.indexOf(listener);
+    if (index != -1) {
+        this.listeners_.splice(index, 1);
+    }
+};
+
+
+/**
+ * Serializes the board to a plain object that survives JSON round trips.
+ * Bits are listed row by row, '1' meaning flipped.
+ * @return {{rows: number, cols: number, bits: string}}
+ */
+cast.games.starcast.PuzzleBoard.prototype.serialize = function () {
+    var bits = '';
+    for (var row = 0; row < this.rows_; row++) {
+        for (var col = 0; col < this.cols_; col++) {
+            bits += this.cells_[row][col] ? '1' : '0';
+        }
+    }
+    return {rows: this.rows_, cols: this.cols_, bits: bits};
+};
+
+
+/**
+ * Creates a board from the output of #serialize.
+ * @param {{rows: number, cols: number, bits: string}} data
+ * @return {!cast.games.starcast.PuzzleBoard}
+ */
+cast.games.starcast.PuzzleBoard.deserialize = function (data) {
+    if (data.bits.length != data.rows * data.cols) {
+        throw Error('Expected ' + data.rows * data.cols + ' bits but received ' +
+            data.bits.length);
+    }
+    var board = new cast.games.starcast.PuzzleBoard(data.rows, data.cols);
+    for (var row = 0; row < data.rows; row++) {
+        for (var col = 0; col < data.cols; col++) {
+            board.cells_[row][col] = data.bits.charAt(row * data.cols + col) == '1';
+        }
+    }
+    return board;
+};
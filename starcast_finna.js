@@ -0,0 +1,323 @@
+/**
+ * Finna search client.
+ *
+ * Searches the Finna REST API (https://api.finna.fi) for records with an
+ * image, e.g. photos of buildings from Finnish museums, builds the cover
+ * URLs of their images for the puzzle, and fetches what players are shown
+ * about a record once they solved it.
+ *
+ * To play offline, point the client at fixtures/finna served by any static
+ * file server from the root of the receiver. It answers every search with
+ * fixtures/finna/v1/search, every record with fixtures/finna/v1/record and
+ * every cover with fixtures/finna/Cover/Show.
+ *
+ * @param {string=} opt_apiUrl Root of the API, without a trailing slash.
+ *     Defaults to cast.games.starcast.FinnaClient.API_URL.
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.FinnaClient = function (opt_apiUrl) {
+    /** @private {string} */
+    this.apiUrl_ = opt_apiUrl || cast.games.starcast.FinnaClient.API_URL;
+};
+
+
+/** @const {string} Root of the public Finna API. */
+cast.games.starcast.FinnaClient.API_URL = 'https://api.finna.fi';
+
+
+/** @const {string} Local stand-in for the API, see the constructor. */
+cast.games.starcast.FinnaClient.FIXTURE_URL = 'fixtures/finna';
+
+
+/** @const {number} Most records asked for in one search. */
+cast.games.starcast.FinnaClient.PAGE_SIZE = 50;
+
+
+/** @const {number} Milliseconds a request may take. */
+cast.games.starcast.FinnaClient.TIMEOUT_MS = 10000;
+
+
+/**
+ * What to search for. Lookfor holds keywords. The others are Finna facet
+ * values: buildingType a topic such as "kirkot", format such as "0/Image/",
+ * organisation a building facet such as "0/Museovirasto/" and location a
+ * place such as "Turku".
+ * @typedef {{lookfor: (string|undefined), buildingType: (string|undefined),
+ *     format: (string|undefined), organisation: (string|undefined),
+ *     location: (string|undefined)}}
+ */
+cast.games.starcast.FinnaClient.Query;
+
+
+/**
+ * Image themes senders pick from. Municipality shows buildings of one
+ * municipality, given separately.
+ * @enum {string}
+ */
+cast.games.starcast.FinnaClient.Theme = {
+    ARCHITECTURE: 'architecture',
+    CHURCHES: 'churches',
+    MANOR_HOUSES: 'manorHouses',
+    INDUSTRIAL: 'industrial',
+    MUNICIPALITY: 'municipality'
+};
+
+
+/**
+ * Searches of the themes, without the format every theme shares.
+ * @private {!Object.<string, !cast.games.starcast.FinnaClient.Query>}
+ */
+cast.games.starcast.FinnaClient.THEME_QUERIES_ = {
+    'architecture': {lookfor: 'rakennus'},
+    'churches': {buildingType: 'kirkot'},
+    'manorHouses': {buildingType: 'kartanot'},
+    'industrial': {buildingType: 'teollisuusrakennukset'},
+    'municipality': {lookfor: 'rakennus'}
+};
+
+
+/**
+ * A record found by a search. Images holds the paths of its images relative
+ * to the API root.
+ * @typedef {{id: string, title: string, images: !Array.<string>}}
+ */
+cast.games.starcast.FinnaClient.Record;
+
+
+/**
+ * What players are told about a record, and the rights of its image.
+ * Copyright is the license, e.g. "CC BY 4.0", and licenseUrl where to read
+ * it. Fields the record does not have are null or empty.
+ * @typedef {{id: string, title: string, authors: !Array.<string>,
+ *     year: ?string, locations: !Array.<string>,
+ *     organisations: !Array.<string>, copyright: ?string,
+ *     licenseUrl: ?string}}
+ */
+cast.games.starcast.FinnaClient.RecordDetails;
+
+
+/**
+ * Record fields fetched for cast.games.starcast.FinnaClient.RecordDetails.
+ * @private {!Array.<string>}
+ */
+cast.games.starcast.FinnaClient.DETAIL_FIELDS_ = ['id', 'title', 'nonPresenterAuthors', 'year',
+    'geographicSubjects', 'buildings', 'imageRights'];
+
+
+/**
+ * Finna facets each query field filters on.
+ * @private {!Object.<string, string>}
+ */
+cast.games.starcast.FinnaClient.FILTER_FACETS_ = {
+    'buildingType': 'topic_facet',
+    'format': 'format',
+    'organisation': 'building',
+    'location': 'geographic_facet'
+};
+
+
+/**
+ * @param {string} theme One of cast.games.starcast.FinnaClient.Theme.
+ * @param {?string=} opt_municipality Municipality of the municipality theme.
+ * @return {!cast.games.starcast.FinnaClient.Query} Search for images of the
+ *     theme.
+ */
+cast.games.starcast.FinnaClient.getThemeQuery = function (theme, opt_municipality) {
+    var themeQuery = cast.games.starcast.FinnaClient.THEME_QUERIES_[theme];
+    var query = {format: '0/Image/'};
+    for (var field in themeQuery) {
+        query[field] = themeQuery[field];
+    }
+    if (theme == cast.games.starcast.FinnaClient.Theme.MUNICIPALITY && opt_municipality) {
+        query.location = opt_municipality;
+    }
+    return query;
+};
+
+
+/**
+ * @param {!cast.games.starcast.FinnaClient.Query} query
+ * @return {string} Search URL of the query, asking for online records only.
+ */
+cast.games.starcast.FinnaClient.prototype.getSearchUrl = function (query) {
+    var params = [
+        'lookfor=' + encodeURIComponent(query.lookfor || ''),
+        'filter[]=' + encodeURIComponent('online_boolean:"1"'),
+        'field[]=id',
+        'field[]=title',
+        'field[]=images',
+        'limit=' + cast.games.starcast.FinnaClient.PAGE_SIZE
+    ];
+    var facets = cast.games.starcast.FinnaClient.FILTER_FACETS_;
+    for (var field in facets) {
+        if (query[field]) {
+            params.push('filter[]=' + encodeURIComponent(facets[field] + ':"' + query[field] + '"'));
+        }
+    }
+    return this.apiUrl_ + '/v1/search?' + params.join('&');
+};
+
+
+/**
+ * @param {string} recordId
+ * @return {string} URL of the large cover image of a record.
+ */
+cast.games.starcast.FinnaClient.prototype.getCoverUrl = function (recordId) {
+    return this.apiUrl_ + '/Cover/Show?id=' + encodeURIComponent(recordId) + '&index=0&size=large';
+};
+
+
+/**
+ * @param {string} recordId
+ * @return {string} URL of the details of a record.
+ */
+cast.games.starcast.FinnaClient.prototype.getRecordUrl = function (recordId) {
+    return this.apiUrl_ + '/v1/record?id=' + encodeURIComponent(recordId) +
+        cast.games.starcast.FinnaClient.DETAIL_FIELDS_.map(function (field) {
+            return '&field[]=' + field;
+        }).join('');
+};
+
+
+/**
+ * Searches for records with an image.
+ * @param {!cast.games.starcast.FinnaClient.Query} query
+ * @param {function(!Array.<!cast.games.starcast.FinnaClient.Record>)} onResults
+ *     Called with the records found that have an image, possibly none.
+ * @param {function(string)} onError Called with the reason the search failed.
+ * @return {!XMLHttpRequest} The request, to abort it.
+ */
+cast.games.starcast.FinnaClient.prototype.search = function (query, onResults, onError) {
+    return this.getJson_('Finna search', this.getSearchUrl(query), function (response) {
+        onResults((response.records || []).filter(function (record) {
+            return !!record.id && !!record.images && record.images.length > 0;
+        }));
+    }, onError);
+};
+
+
+/**
+ * Fetches the details of a record.
+ * @param {string} recordId
+ * @param {function(!cast.games.starcast.FinnaClient.RecordDetails)} onRecord
+ * @param {function(string)} onError Called with the reason the record could
+ *     not be fetched.
+ * @return {!XMLHttpRequest} The request, to abort it.
+ */
+cast.games.starcast.FinnaClient.prototype.getRecord = function (recordId, onRecord, onError) {
+    return this.getJson_('Finna record', this.getRecordUrl(recordId), function (response) {
+        var record = (response.records || [])[0];
+        if (!record) {
+            onError('Finna has no record ' + recordId);
+            return;
+        }
+        onRecord(cast.games.starcast.FinnaClient.toDetails_(recordId, record));
+    }, onError);
+};
+
+
+/**
+ * Gets a Finna API response, checking its HTTP status and its own status.
+ * @param {string} what What is fetched, for error messages.
+ * @param {string} url
+ * @param {function(!Object)} onResponse Called with the parsed response.
+ * @param {function(string)} onError Called with the reason it failed.
+ * @return {!XMLHttpRequest} The request, to abort it.
+ * @private
+ */
+cast.games.starcast.FinnaClient.prototype.getJson_ = function (what, url, onResponse, onError) {
+    var request = new XMLHttpRequest();
+    request.open('GET', url);
+    request.timeout = cast.games.starcast.FinnaClient.TIMEOUT_MS;
+    request.onload = function () {
+        if (request.status != 200) {
+            onError(what + ' failed with HTTP status ' + request.status);
+            return;
+        }
+        var response;
+        try {
+            response = JSON.parse(request.responseText);
+        } catch (e) {
+            onError(what + ' returned malformed JSON');
+            return;
+        }
+        if (!response || response.status != 'OK') {
+            onError(what + ' failed with status ' + (response && response.status));
+            return;
+        }
+        onResponse(response);
+    };
+    request.onerror = function () {
+        onError(what + ' could not reach ' + this.apiUrl_);
+    }.bind(this);
+    request.ontimeout = function () {
+        onError(what + ' timed out');
+    };
+    request.send();
+    return request;
+};
+
+
+/**
+ * @param {string} recordId
+ * @param {!Object} record A record of a Finna API response.
+ * @return {!cast.games.starcast.FinnaClient.RecordDetails}
+ * @private
+ */
+cast.games.starcast.FinnaClient.toDetails_ = function (recordId, record) {
+    // Finna lists values either as strings or as objects with a name, a
+    // translated value or a raw value
+    var toText = function (value) {
+        return typeof value == 'string' ? value : value.name || value.translated || value.value || '';
+    };
+    var toTexts = function (values) {
+        return (values || []).map(toText).filter(function (text) {
+            return text != '';
+        });
+    };
+    var rights = record.imageRights || {};
+    return {
+        id: record.id || recordId,
+        title: record.title || '',
+        authors: toTexts(record.nonPresenterAuthors),
+        year: record.year ? String(record.year) : null,
+        locations: toTexts(record.geographicSubjects),
+        organisations: toTexts(record.buildings),
+        copyright: rights.copyright || null,
+        licenseUrl: rights.link || null
+    };
+};
+
+
+/**
+ * Attribution Finna asks for wherever an image is shown: the title, the
+ * authors, the organisation holding the image and its license.
+ * @param {!cast.games.starcast.FinnaClient.RecordDetails} record
+ * @return {string}
+ */
+cast.games.starcast.FinnaClient.getAttribution = function (record) {
+    var parts = [record.title || 'Untitled'];
+    if (record.authors.length) {
+        parts.push(record.authors.join(', '));
+    }
+    if (record.organisations.length) {
+        parts.push(record.organisations[record.organisations.length - 1]);
+    }
+    parts.push(record.copyright ? record.copyright + (record.licenseUrl ? ' (' + record.licenseUrl + ')' : '') :
+        'Rights unknown');
+    parts.push('finna.fi');
+    return parts.join(' / ');
+};
+
+
+/**
+ * @param {!Array.<!cast.games.starcast.FinnaClient.Record>} records
+ * @param {!cast.games.starcast.Random} random
+ * @return {?cast.games.starcast.FinnaClient.Record} One of the records, null
+ *     if there are none.
+ */
+cast.games.starcast.FinnaClient.pickRecord = function (records, random) {
+    return records.length ? records[random.nextInt(records.length)] : null;
+};
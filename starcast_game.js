@@ -10,8 +10,8 @@
  * @implements {cast.games.common.receiver.Game}
  * @export
  */
-cast.games = {};
-cast.games.starcast = {};
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
 cast.games.starcast.StarcastGame = function (gameManager) {
     /** @private {!cast.receiver.games.GameManager} */
     this.gameManager_ = gameManager;
@@ -35,6 +35,97 @@ cast.games.starcast.StarcastGame = function (gameManager) {
      */
     this.randomAiEnabled = false;
 
+    /**
+     * What undoing a move does to the score, see
+     * cast.games.starcast.StarcastGame.UndoPolicy.
+     * @public {string}
+     */
+    this.undoPolicy = cast.games.starcast.StarcastGame.UndoPolicy.FREE;
+
+    /**
+     * Points taken off for every undo with the PENALTY undo policy.
+     * @public {number}
+     */
+    this.undoPenaltyPoints = 5;
+
+    /**
+     * Whether everyone plays at once or takes turns, see
+     * cast.games.starcast.StarcastGame.PlayMode.
+     * @public {string}
+     */
+    this.playMode = cast.games.starcast.StarcastGame.PlayMode.FREE;
+
+    /**
+     * Seconds a player has for their turn before it passes to the next
+     * player, or 0 to wait for them indefinitely.
+     * @public {number}
+     */
+    this.turnSeconds = 0;
+
+    /**
+     * Number of teams players are split into in the co-op play mode, by the
+     * slot of their ship.
+     * @public {number}
+     */
+    this.teamCount = 2;
+
+    /**
+     * Number of boards in a session. Scores add up over the rounds of a
+     * session.
+     * @public {number}
+     */
+    this.roundsPerSession = 3;
+
+    /**
+     * Finna record ids played in turn when imageQuery is null, one per round
+     * and starting over when every image was played. With a single id, as by
+     * default, every round replays it. Rounds whose search fails or finds
+     * nothing play the records found earlier in turn, or else these.
+     * @public {!Array.<string>}
+     */
+    this.imageIds = [cast.games.starcast.StarcastGame.DEFAULT_IMAGE_ID_];
+
+    /**
+     * Theme of the images, one of cast.games.starcast.FinnaClient.Theme.
+     * @public {string}
+     */
+    this.imageTheme = cast.games.starcast.FinnaClient.Theme.ARCHITECTURE;
+
+    /**
+     * Municipality whose buildings the municipality theme shows.
+     * @public {?string}
+     */
+    this.imageMunicipality = null;
+
+    /**
+     * Finna search each round picks its image from, or null to play imageIds
+     * in turn. Rounds also fall back to imageIds when the search fails or
+     * finds nothing. Follows the theme picked by senders.
+     * @public {?cast.games.starcast.FinnaClient.Query}
+     */
+    this.imageQuery = cast.games.starcast.FinnaClient.getThemeQuery(this.imageTheme);
+
+    /**
+     * Client the images are searched and loaded with.
+     * @public {!cast.games.starcast.FinnaClient}
+     */
+    this.finna = new cast.games.starcast.FinnaClient();
+
+    /**
+     * Seconds the receiver waits for a player to come back after the last
+     * one left, and after the last one who dropped could reconnect, before
+     * it shuts down, or 0 to shut down right away.
+     * @public {number}
+     */
+    this.shutdownGraceSeconds = 30;
+
+    /**
+     * Seconds a dropped player keeps their ship, name and score for while
+     * waiting for them to reconnect.
+     * @public {number}
+     */
+    this.reconnectSeconds = 60;
+
     /** @private {number} */
     this.canvasWidth_ = window.innerWidth;
 
@@ -61,29 +152,238 @@ cast.games.starcast.StarcastGame = function (gameManager) {
      */
     this.playerMap_ = {};
 
-    /** @private an image from Finna API. */
+    /** @private {Image} The loaded puzzle image, from Finna API or the fallback. */
     this.apiImage_ = null;
 
-    /** @private {!Array.<!PIXI.Sprite>} All pieces sprites. */
+    /** @private {cast.games.starcast.ImageLoader} Loader of the puzzle image. */
+    this.imageLoader_ = null;
+
+    /**
+     * @private {?string} How loading the puzzle image went, one of
+     *     cast.games.starcast.ImageLoader.Status.
+     */
+    this.imageStatus_ = null;
+
+    /**
+     * @private {!cast.games.starcast.ImageCache} Images of played and
+     *     upcoming rounds. Kept when the game is torn down.
+     */
+    this.imageCache_ = new cast.games.starcast.ImageCache();
+
+    /**
+     * @private {!Array.<string>} Record ids found for the next rounds by
+     *     imageQuery, being prefetched.
+     */
+    this.upcomingImageIds_ = [];
+
+    /**
+     * @private {!Array.<string>} Record ids found by the last search of
+     *     imageQuery that found any, played in turn when a search fails.
+     */
+    this.foundImageIds_ = [];
+
+    /**
+     * @private {XMLHttpRequest} Finna search for upcomingImageIds_, null
+     *     unless one is running.
+     */
+    this.prefetchSearch_ = null;
+
+    /** @private {string} Finna record id of the puzzle image. */
+    this.imageId_ = cast.games.starcast.StarcastGame.DEFAULT_IMAGE_ID_;
+
+    /**
+     * @private {XMLHttpRequest} Finna search for the image of the round,
+     *     null unless one is running. The board waits for it.
+     */
+    this.imageSearch_ = null;
+
+    /**
+     * @private {?cast.games.starcast.FinnaClient.RecordDetails} Details of
+     *     the record of the puzzle image, null until they are fetched.
+     */
+    this.imageRecord_ = null;
+
+    /** @private {XMLHttpRequest} Fetch of imageRecord_, null unless one is running. */
+    this.recordRequest_ = null;
+
+    /**
+     * @private {?string} Seed of the current board, or the seed it is
+     *     being generated from.
+     */
+    this.seed_ = null;
+
+    /** @private {?string} Seed requested for the next board, null for a random one. */
+    this.nextSeed_ = null;
+
+    /** @private {?string} Image requested for the next round, null for the next in imageIds. */
+    this.nextImageId_ = null;
+
+    /** @private {number} Round of the session being played, 0 before the first. */
+    this.round_ = 0;
+
+    /** @private {!cast.games.starcast.Scoreboard} Scores of the rounds played in this session. */
+    this.sessionScores_ = new cast.games.starcast.Scoreboard();
+
+    /**
+     * @private {number} Date.now() time the next round of the session starts
+     *     at, or 0 if it waits for the host.
+     */
+    this.nextRoundTime_ = 0;
+
+    /** @private {string} Game mode of the current or next board. */
+    this.mode_ = cast.games.starcast.PuzzleGenerator.Mode.CLASSIC;
+
+    /** @private {string} Difficulty tier of the current or next board. */
+    this.difficulty_ = cast.games.starcast.PuzzleGenerator.Difficulty.NORMAL;
+
+    /** @private {!Array.<string>} Move types players may use on this board. */
+    this.moveTypes_ = [];
+
+    /** @private {cast.games.starcast.PuzzleBoard} The puzzle state. */
+    this.board_ = null;
+
+    /**
+     * @private {!Array.<!Array.<!PIXI.Sprite>>} All pieces sprites, indexed
+     *     by row then column like the board cells they render.
+     */
     this.pieces_ = [];
 
-    /** Count flip for the suggestion */
+    /** @private {!Array.<!PIXI.Sprite>} Row, column and diagonal buttons. */
+    this.controlButtons_ = [];
+
+    /** @private {PIXI.Text} Hint shown below the puzzle. */
+    this.hintMessage_ = null;
+
+    /** @private {!Array.<!PIXI.Text>} Messages shown when the puzzle is solved. */
+    this.roundMessages_ = [];
+
+    /** @private {PIXI.Text} What the solved image shows, one of roundMessages_. */
+    this.recordCard_ = null;
+
+    /** Minimum number of flips that solves the scrambled board. */
     this.suggestedFlipCount_ = 0;
 
+    /** @private {number} Fewest moves that still solve the board, kept up to date after each move. */
+    this.remainingMoves_ = 0;
+
+    /**
+     * @private {?cast.games.starcast.PuzzleSolver.Solution} Optimal moves for
+     *     the scrambled board.
+     */
+    this.solution_ = null;
+
     this.extraFlipsThanNecessary_ = 10;
 
     /** Count flip in each round, when players click rows and columns */
     this.playerEachFlipCount_ = 0;
 
+    /** @private {!cast.games.starcast.MoveHistory} Moves on the current board. */
+    this.history_ = new cast.games.starcast.MoveHistory();
+
+    /** @private {number} Points lost to undo penalties on the current board. */
+    this.penaltyPoints_ = 0;
+
+    /** @private {!cast.games.starcast.Scoreboard} Who made which moves on this board. */
+    this.scoreboard_ = new cast.games.starcast.Scoreboard();
+
+    /** @private {!cast.games.starcast.TurnOrder} Whose turn it is. */
+    this.turnOrder_ = new cast.games.starcast.TurnOrder();
+
+    /**
+     * @private {number} Date.now() time the current turn runs out at, or 0 if
+     *     the turn is not timed.
+     */
+    this.turnEndTime_ = 0;
+
+    /** @private {PIXI.Text} Shows whose turn it is and the time left. */
+    this.turnMessage_ = null;
+
+    /** @private {cast.games.starcast.Race} The race in the race play mode. */
+    this.race_ = null;
+
+    /**
+     * @private {!Object.<string, {pieces: !Array.<!Array.<!PIXI.Sprite>>,
+     *     label: !PIXI.Text}>} Pieces and name tag of each racer's board.
+     */
+    this.raceBoards_ = {};
+
+    /** @private {?{x: number, y: number}} Where the puzzle is centered. */
+    this.puzzleCenter_ = null;
+
+    /**
+     * @private {!Object.<string, number>} Ship slot of every player who
+     *     joined, kept when they leave so the moves they made still count
+     *     for their team.
+     */
+    this.playerSlots_ = {};
+
+    /** @private {boolean} True once every team ran out of moves on this board. */
+    this.lost_ = false;
+
+    /**
+     * @private {!Object.<string, string>} Names players gave when joining,
+     *     kept after they left for the standings.
+     */
+    this.playerNames_ = {};
+
+    /**
+     * @private {!Object.<string, number>} Date.now() time each dropped
+     *     player is removed at unless they reconnect.
+     */
+    this.dropExpiryTimes_ = {};
+
+    /**
+     * @private {!Array.<string>} Ids of the senders who joined while every
+     *     ship was taken, in the order they joined. They watch until a ship
+     *     frees up.
+     */
+    this.queue_ = [];
+
     /** @private {PIXI.Sprite} The background. */
     this.backgroundSprite_ = null;
 
     /** @private {function(number)} Pre-bound call to #update. */
     this.boundUpdateFunction_ = this.update_.bind(this);
 
+    /** @private {number} Request id of the next animation frame. */
+    this.animationFrameId_ = 0;
+
     /** @private {boolean} */
     this.isLoaded_ = false;
 
+    /** @private {boolean} True once the puzzle image finished loading. */
+    this.isImageLoaded_ = false;
+
+    /** @private {!cast.games.starcast.Lifecycle} Which phase the game is in. */
+    this.lifecycle_ = new cast.games.starcast.Lifecycle();
+
+    /**
+     * @private {number} Date.now() time the countdown to play ends at, or 0
+     *     if there is no countdown.
+     */
+    this.countdownEndTime_ = 0;
+
+    /** @private {PIXI.Text} Lists the players waiting in the lobby. */
+    this.lobbyMessage_ = null;
+
+    /** @private {PIXI.Text} Counts down to play. */
+    this.countdownMessage_ = null;
+
+    /** @private {PIXI.Text} Lists the senders waiting for a ship. */
+    this.queueMessage_ = null;
+
+    /**
+     * @private {number} Date.now() time everyone had left at, or 0 while
+     *     players are connected. The game is paused in between.
+     */
+    this.pauseTime_ = 0;
+
+    /** @private {number} Date.now() time the receiver shuts down at, or 0. */
+    this.shutdownTime_ = 0;
+
+    /** @private {PIXI.Text} Counts down to shutting down. */
+    this.shutdownMessage_ = null;
+
     /** @private {boolean} */
     this.isRunning_ = false;
 
@@ -126,6 +426,37 @@ cast.games.starcast.StarcastGame = function (gameManager) {
      * @private {function(cast.receiver.games.Event)}
      */
     this.boundPlayerQuitCallback_ = this.onPlayerQuit_.bind(this);
+
+    /**
+     * Pre-bound player dropped callback.
+     * @private {function(cast.receiver.games.Event)}
+     */
+    this.boundPlayerDroppedCallback_ = this.onPlayerDropped_.bind(this);
+
+    /**
+     * Pre-bound board change callback.
+     * @private {function(!Array.<!cast.games.starcast.PuzzleBoard.Cell>)}
+     */
+    this.boundBoardChangedCallback_ = this.onBoardChanged_.bind(this);
+
+    /**
+     * Pre-bound phase change callback.
+     * @private {function(string, string)}
+     */
+    this.boundPhaseChangedCallback_ = this.onPhaseChanged_.bind(this);
+    this.lifecycle_.addListener(this.boundPhaseChangedCallback_);
+
+    /**
+     * Pre-bound puzzle image load callback.
+     * @private {function(!Image, boolean)}
+     */
+    this.boundImageLoadedCallback_ = this.onImageLoaded_.bind(this);
+
+    /**
+     * Pre-bound puzzle image loading status callback.
+     * @private {function(string, number, ?string)}
+     */
+    this.boundImageStatusCallback_ = this.onImageStatus_.bind(this);
 };
 
 cast.games.starcast.StarcastGame.prototype.init = function(){
@@ -138,12 +469,206 @@ cast.games.starcast.StarcastGame.prototype.initEvent = function(){
 }
 
 /**
- * JSON message field used to move.
+ * Move payload fields. rowOrCol is one of
+ * cast.games.starcast.PuzzleBoard.MoveType and numRowOrCol the row, column,
+ * cell or quadrant index the move applies to.
  * @private
  */
 cast.games.starcast.StarcastGame.ROW_OR_COL_FIELD_ = "rowOrCol";
 cast.games.starcast.StarcastGame.NUM_ROW_OR_COL_FIELD_ = "numRowOrCol";
 
+/**
+ * What undoing a move does to the score. FREE takes the move back as if it
+ * never happened, COUNTS_AS_MOVE counts undos and redos as flips, PENALTY
+ * takes the move back but costs undoPenaltyPoints.
+ * @enum {string}
+ */
+cast.games.starcast.StarcastGame.UndoPolicy = {
+    FREE: 'free',
+    COUNTS_AS_MOVE: 'countsAsMove',
+    PENALTY: 'penalty'
+};
+
+/**
+ * How players share the board. FREE lets everyone move at any time,
+ * TURN_BASED lets players move one at a time in the order they joined,
+ * RACE gives every player their own copy of the board to solve first, and
+ * COOP splits players into teams that each have a limited number of moves.
+ * @enum {string}
+ */
+cast.games.starcast.StarcastGame.PlayMode = {
+    FREE: 'free',
+    TURN_BASED: 'turnBased',
+    RACE: 'race',
+    COOP: 'coop'
+};
+
+/**
+ * New game payload field used to start a new board from a given seed.
+ * @private
+ */
+cast.games.starcast.StarcastGame.SEED_FIELD_ = "seed";
+
+/**
+ * New game payload fields used to pick the grid size of a new board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.ROWS_FIELD_ = "rows";
+cast.games.starcast.StarcastGame.COLS_FIELD_ = "cols";
+
+/**
+ * New game payload field used to pick the game mode of a new board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.MODE_FIELD_ = "mode";
+
+/**
+ * New game payload field used to pick the difficulty tier of a new board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.DIFFICULTY_FIELD_ = "difficulty";
+
+/**
+ * New game payload field used to pick the Finna record whose image the next
+ * board is made of.
+ * @private
+ */
+cast.games.starcast.StarcastGame.IMAGE_ID_FIELD_ = "imageId";
+
+/**
+ * Settings payload fields used to change the undo rules.
+ * @private
+ */
+cast.games.starcast.StarcastGame.UNDO_POLICY_FIELD_ = "undoPolicy";
+cast.games.starcast.StarcastGame.UNDO_PENALTY_POINTS_FIELD_ = "undoPenaltyPoints";
+
+/**
+ * Settings payload fields used to switch to turns and time them, and the
+ * longest turn allowed.
+ * @private
+ */
+cast.games.starcast.StarcastGame.PLAY_MODE_FIELD_ = "playMode";
+cast.games.starcast.StarcastGame.TURN_SECONDS_FIELD_ = "turnSeconds";
+cast.games.starcast.StarcastGame.MAX_TURN_SECONDS_ = 600;
+
+/**
+ * Settings payload field used to split co-op players into teams.
+ * @private
+ */
+cast.games.starcast.StarcastGame.TEAM_COUNT_FIELD_ = "teamCount";
+
+/**
+ * Settings payload field used to change the number of rounds in a session,
+ * and the most rounds allowed.
+ * @private
+ */
+cast.games.starcast.StarcastGame.ROUNDS_FIELD_ = "rounds";
+cast.games.starcast.StarcastGame.MAX_ROUNDS_ = 20;
+
+/**
+ * Settings payload field used to change how long the receiver waits for
+ * players to come back before shutting down, and the longest wait allowed.
+ * @private
+ */
+cast.games.starcast.StarcastGame.GRACE_SECONDS_FIELD_ = "graceSeconds";
+cast.games.starcast.StarcastGame.MAX_GRACE_SECONDS_ = 300;
+
+/**
+ * Settings payload fields used to pick the image theme and the municipality
+ * of the municipality theme, and the longest municipality name allowed.
+ * @private
+ */
+cast.games.starcast.StarcastGame.THEME_FIELD_ = "theme";
+cast.games.starcast.StarcastGame.MUNICIPALITY_FIELD_ = "municipality";
+cast.games.starcast.StarcastGame.MAX_MUNICIPALITY_LENGTH_ = 50;
+
+/**
+ * Field of the PLAYER_AVAILABLE extra message data holding the name a player
+ * goes by, and its longest allowed length.
+ * @private
+ */
+cast.games.starcast.StarcastGame.PLAYER_NAME_FIELD_ = "name";
+cast.games.starcast.StarcastGame.MAX_PLAYER_NAME_LENGTH_ = 20;
+
+/**
+ * Chat payload field holding the text, and its longest allowed length.
+ * @private
+ */
+cast.games.starcast.StarcastGame.CHAT_TEXT_FIELD_ = "text";
+cast.games.starcast.StarcastGame.MAX_CHAT_LENGTH_ = 200;
+
+/**
+ * Ping payload field holding the sender's timestamp, echoed in the pong.
+ * @private
+ */
+cast.games.starcast.StarcastGame.PING_TIME_FIELD_ = "time";
+
+/**
+ * Points a player earns for every move their move brings the board closer
+ * to solved, and loses for every move it brings it further away.
+ * @private
+ */
+cast.games.starcast.StarcastGame.PROGRESS_POINTS_ = 10;
+
+/**
+ * Seconds counted down between the host starting the game and play.
+ * @private
+ */
+cast.games.starcast.StarcastGame.COUNTDOWN_SECONDS_ = 3;
+
+/**
+ * Seconds the results of a round show before the next round of the session
+ * counts down.
+ * @private
+ */
+cast.games.starcast.StarcastGame.ROUND_BREAK_SECONDS_ = 10;
+
+/**
+ * Smallest and largest number of rows or columns a board may have.
+ * @private
+ */
+cast.games.starcast.StarcastGame.MIN_GRID_SIZE_ = 3;
+cast.games.starcast.StarcastGame.MAX_GRID_SIZE_ = 10;
+
+/**
+ * Size of the row and column buttons, shrunk to fit on large grids.
+ * @private
+ */
+cast.games.starcast.StarcastGame.BUTTON_SIZE_ = 48;
+
+/**
+ * Button colours from controlButtons.json, cycled through row by row and
+ * column by column.
+ * @private
+ */
+cast.games.starcast.StarcastGame.BUTTON_TEXTURES_ = ["greenButton.png", "blueButton.png", "yellowButton.png",
+    "redButton.png", "purpleButton.png", "orangeButton.png"];
+
+/**
+ * Finna record id of the puzzle image.
+ * @private
+ */
+cast.games.starcast.StarcastGame.DEFAULT_IMAGE_ID_ = "muusa.urn:uuid:7682B120-4F8E-4210-AD4D-1B118BA7699E";
+
+/**
+ * Bundled image played when the Finna image cannot be loaded.
+ * @private
+ */
+cast.games.starcast.StarcastGame.FALLBACK_IMAGE_URL_ = "assets/tileset.png";
+
+/**
+ * Moves of the board's history listed in the game data, the most recent
+ * ones. The rest is only counted, so the game data stays small.
+ * @private
+ */
+cast.games.starcast.StarcastGame.RECENT_MOVES_ = 10;
+
+/**
+ * Images of the next rounds prefetched while playing.
+ * @private
+ */
+cast.games.starcast.StarcastGame.PREFETCH_COUNT_ = 2;
+
 /**
  * Runs the game. Game should load if not loaded yet.
  * @param {function()} loadedCallback This function will be called when the game
@@ -170,7 +695,7 @@ cast.games.starcast.StarcastGame.prototype.run = function (loadedCallback) {
 
 
 /**
- * Stops the game.
+ * Stops the game and tears it down. Calling #run again starts a fresh game.
  * @export
  */
 cast.games.starcast.StarcastGame.prototype.stop = function () {
@@ -180,8 +705,12 @@ cast.games.starcast.StarcastGame.prototype.stop = function () {
     }
 
     this.isRunning_ = false;
-    //document.body.removeChild(this.renderer_.view);
-    // document.getElementById("game").removeChild(this.canvasrenderer_.view);
+    cancelAnimationFrame(this.animationFrameId_);
+    // added by #start_
+    var view = this.canvasrenderer_.view;
+    if (view.parentNode) {
+        view.parentNode.removeChild(view);
+    }
 
     this.gameManager_.removeEventListener(
         cast.receiver.games.EventType.GAME_MESSAGE_RECEIVED,
@@ -194,33 +723,121 @@ cast.games.starcast.StarcastGame.prototype.stop = function () {
         this.boundPlayerQuitCallback_);
     this.gameManager_.removeEventListener(
         cast.receiver.games.EventType.PLAYER_DROPPED,
-        this.boundPlayerQuitCallback_);
+        this.boundPlayerDroppedCallback_);
+
+    this.tearDown_();
 };
 
 
 /**
- * Adds the renderer and run the game. Calls loaded callback passed to #run.
+ * Destroys everything shown for the game and forgets its state, so #run can
+ * start a fresh game. Settings and the assets of the loader are kept.
  * @private
  */
-cast.games.starcast.StarcastGame.prototype.start_ = function () {
-    // If callback is null, the game was stopped already.
-    if (!this.loadedCallback_) {
-        return;
-    }
+cast.games.starcast.StarcastGame.prototype.tearDown_ = function () {
+    // pieces, race boards, control buttons, round messages and their tweens
+    this.clearPuzzle_();
 
-    // document.getElementById("game").appendChild(this.canvasrenderer_.view);
-    //document.body.appendChild(this.renderer_.view);
+    if (this.imageLoader_) {
+        this.imageLoader_.cancel();
+        this.imageLoader_ = null;
+    }
+    if (this.prefetchSearch_) {
+        this.prefetchSearch_.abort();
+        this.prefetchSearch_ = null;
+    }
+    this.upcomingImageIds_ = [];
+    this.foundImageIds_ = [];
+    this.imageCache_.cancelPrefetch();
+    this.apiImage_ = null;
+    this.imageStatus_ = null;
+    this.isImageLoaded_ = false;
+    if (this.imageSearch_) {
+        this.imageSearch_.abort();
+        this.imageSearch_ = null;
+    }
+    if (this.recordRequest_) {
+        this.recordRequest_.abort();
+        this.recordRequest_ = null;
+    }
+    this.imageRecord_ = null;
+
+    // everything left on the stage was made for this game. Sprites keep the
+    // loader's textures, texts take their own textures with them.
+    var children = this.container_.removeChildren();
+    for (var i = 0; i < children.length; i++) {
+        children[i].destroy();
+    }
+    this.diagonalControlButton_.destroy();
+    this.diagonalControlButton_ = null;
+    this.backgroundSprite_ = null;
+    this.hud_ = null;
+    this.hintMessage_ = null;
+    this.turnMessage_ = null;
+    this.lobbyMessage_ = null;
+    this.countdownMessage_ = null;
+    this.queueMessage_ = null;
+    this.shutdownMessage_ = null;
+    this.players_ = [];
+    this.playerMap_ = {};
+    this.playerSlots_ = {};
+    this.playerNames_ = {};
+    this.dropExpiryTimes_ = {};
+    this.queue_ = [];
+
+    this.seed_ = null;
+    this.nextSeed_ = null;
+    this.nextImageId_ = null;
+    this.moveTypes_ = [];
+    this.solution_ = null;
+    this.suggestedFlipCount_ = 0;
+    this.remainingMoves_ = 0;
+    this.puzzleCenter_ = null;
+    this.turnOrder_ = new cast.games.starcast.TurnOrder();
+    this.turnEndTime_ = 0;
+    this.countdownEndTime_ = 0;
+    this.nextRoundTime_ = 0;
+    this.pauseTime_ = 0;
+    this.shutdownTime_ = 0;
+    this.round_ = 0;
+    this.sessionScores_.clear();
+
+    // back to the lobby without telling anyone, #start_ announces it
+    this.lifecycle_.removeListener(this.boundPhaseChangedCallback_);
+    this.lifecycle_ = new cast.games.starcast.Lifecycle();
+    this.lifecycle_.addListener(this.boundPhaseChangedCallback_);
+};
+
+
+/**
+ * Adds the renderer and run the game. Calls loaded callback passed to #run.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.start_ = function () {
+    // If callback is null, the game was stopped already.
+    if (!this.loadedCallback_) {
+        return;
+    }
+
+    // #stop takes the view off the page again
+    document.getElementById("game").appendChild(this.canvasrenderer_.view);
+    this.setUpGame_();
     this.isRunning_ = true;
-    this.gameManager_.updateGameplayState(
-        cast.receiver.games.GameplayState.RUNNING, null);
+    this.updateManagerState_();
 
-    // Add any already connected players.
+    // Add any already connected players, queueing those without a ship.
     var players = this.gameManager_.getPlayers();
     for (var i = 0; i < players.length; i++) {
-        this.addPlayer_(players[i].playerId);
+        if (this.hasFreeSlot_()) {
+            this.addPlayer_(players[i].playerId);
+        } else {
+            this.queuePlayer_(players[i].playerId);
+        }
     }
 
-    requestAnimationFrame(this.boundUpdateFunction_);
+    this.animationFrameId_ = requestAnimationFrame(this.boundUpdateFunction_);
+
+    this.displayLobbyMessage_();
 
     this.loadedCallback_();
     this.loadedCallback_ = null;
@@ -236,104 +853,368 @@ cast.games.starcast.StarcastGame.prototype.start_ = function () {
         this.boundPlayerQuitCallback_);
     this.gameManager_.addEventListener(
         cast.receiver.games.EventType.PLAYER_DROPPED,
-        this.boundPlayerQuitCallback_);
+        this.boundPlayerDroppedCallback_);
 };
 
 cast.games.starcast.StarcastGame.prototype.instantiatePuzzlePiecesAndControlButtons = function (totalRow, totalCol,
                                                                                                 container, buttonTextureId,
                                                                                                 diagonalControlButton) {
 
+    // measure the stage once, adding pieces and buttons grows the container
+    var center = {x: container.width / 2, y: container.height / 2};
+    this.puzzleCenter_ = center;
+
     var buttonXDist = Math.floor(this.puzzleWidth_ / totalCol),
-        buttonYDist = Math.floor(this.puzzleHeight_ / totalRow);
+        buttonYDist = Math.floor(this.puzzleHeight_ / totalRow),
+        buttonSize = Math.min(cast.games.starcast.StarcastGame.BUTTON_SIZE_, buttonXDist, buttonYDist);
 
     var pieceWidth = Math.floor(this.apiImage_.width / totalCol),
         pieceHeight = Math.floor(this.apiImage_.height / totalRow);
 
+    var puzzle = cast.games.starcast.PuzzleGenerator.generate({
+        rows: totalRow,
+        cols: totalCol,
+        imageId: this.imageId_,
+        seed: this.seed_ || undefined,
+        mode: this.mode_,
+        difficulty: this.difficulty_
+    });
+    this.board_ = puzzle.board;
+    this.seed_ = puzzle.seed;
+    this.moveTypes_ = puzzle.moveTypes;
+
+    // the scramble itself is only an upper bound, e.g. flipping every row and
+    // every column cancels out, so use the solver's real optimum
+    this.solution_ = puzzle.solution;
+    this.suggestedFlipCount_ = this.solution_.moves.length;
+    this.remainingMoves_ = this.suggestedFlipCount_;
+
+    // one button per row and per column, cycling through the button colours
     var leftSideButtonsArray = [];
-    leftSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["greenButton.png"]));
-    leftSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["blueButton.png"]));
-    leftSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["yellowButton.png"]));
-    leftSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["redButton.png"]));
-    leftSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["purpleButton.png"]));
-    leftSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["greenButton.png"]));
+    for (var row = 0; row < totalRow; row++) {
+        leftSideButtonsArray.push(createControlButton(buttonTextureId, row, buttonSize));
+    }
 
     var bottomSideButtonsArray = [];
-    bottomSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["greenButton.png"]));
-    bottomSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["blueButton.png"]));
-    bottomSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["yellowButton.png"]));
-    bottomSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["redButton.png"]));
-    bottomSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["purpleButton.png"]));
-    bottomSideButtonsArray.push(new PIXI.Sprite(buttonTextureId["greenButton.png"]));
+    for (var col = 0; col < totalCol; col++) {
+        bottomSideButtonsArray.push(createControlButton(buttonTextureId, col, buttonSize));
+    }
 
-    for (var row = 0; row < totalRow; row++) {
+    this.controlButtons_ = leftSideButtonsArray.concat(bottomSideButtonsArray);
+    this.controlButtons_.push(diagonalControlButton);
+
+    for (row = 0; row < totalRow; row++) {
         this.pieces_.push([]);
-        createLeftSideButtons(leftSideButtonsArray, row, totalRow, totalCol, buttonXDist, buttonYDist, container);
-        for (var col = 0; col < totalCol; col++) {
+        createLeftSideButtons(leftSideButtonsArray, row, totalRow, totalCol, buttonXDist, buttonYDist, center,
+            container);
+        for (col = 0; col < totalCol; col++) {
             this.pieces_[row].push(
                 this.createSpriteFromSpriteSheet.bind(this)(pieceWidth, pieceHeight, row, col,
-                    totalRow, totalCol, container)
+                    totalRow, totalCol, center, container)
             );
-            createBottomSideButtons(bottomSideButtonsArray, col, totalRow, totalCol, buttonXDist, buttonYDist, container);
         }
     }
+    for (col = 0; col < totalCol; col++) {
+        createBottomSideButtons(bottomSideButtonsArray, col, totalRow, totalCol, buttonXDist, buttonYDist, center,
+            container);
+    }
 
     //Make a position for the diagonal control button
+    diagonalControlButton.width = diagonalControlButton.height = buttonSize;
     diagonalControlButton.position.set(leftSideButtonsArray[0].x, bottomSideButtonsArray[0].y);
     container.addChild(diagonalControlButton);
 
-    // flip random rows
+    // the main diagonal button mirrors the diagonal one in the top left corner
+    var mainDiagonalControlButton = new PIXI.Sprite(diagonalControlButton.texture);
+    mainDiagonalControlButton.anchor.x = 1;
+    mainDiagonalControlButton.scale.x = -1;
+    mainDiagonalControlButton.width = mainDiagonalControlButton.height = buttonSize;
+    mainDiagonalControlButton.position.set(leftSideButtonsArray[0].x, leftSideButtonsArray[0].y - buttonYDist);
+    container.addChild(mainDiagonalControlButton);
+
+    // the plus button sits in the bottom right corner, and the four block
+    // buttons above it mirror the quadrants of the board
+    var lastColumnButton = bottomSideButtonsArray[totalCol - 1];
+    var plusControlButton = createPlusControl(buttonSize);
+    plusControlButton.position.set(lastColumnButton.x + buttonXDist, lastColumnButton.y);
+    container.addChild(plusControlButton);
+
+    var blockControlButtons = createBlockControls(buttonTextureId, buttonSize);
+    for (var i = 0; i < blockControlButtons.length; i++) {
+        blockControlButtons[i].position.set(
+            lastColumnButton.x + buttonXDist + (i % 2) * buttonSize / 2,
+            center.y - buttonSize / 2 + Math.floor(i / 2) * buttonSize / 2);
+        container.addChild(blockControlButtons[i]);
+    }
+
+    this.controlButtons_.push(mainDiagonalControlButton, plusControlButton);
+    this.controlButtons_ = this.controlButtons_.concat(blockControlButtons);
+
+    // only show the controls of move types this game mode and difficulty use
+    var MoveType = cast.games.starcast.PuzzleBoard.MoveType;
+    var isEnabled = function (type) {
+        return this.moveTypes_.indexOf(type) != -1;
+    }.bind(this);
     for (row = 0; row < totalRow; row++) {
-        if (Math.random() < 0.5) {
-            for (col = 0; col < totalCol; col++) {
-                flipPiece(this.pieces_[row][col]);
-            }
-            this.suggestedFlipCount_++;
-        }
+        leftSideButtonsArray[row].visible = isEnabled(MoveType.ROW);
     }
-    // flip random cols
     for (col = 0; col < totalCol; col++) {
-        if (Math.random() < 0.5) {
-            for (row = 0; row < totalRow; row++) {
-                flipPiece(this.pieces_[row][col]);
-            }
-            this.suggestedFlipCount_++;
-        }
+        bottomSideButtonsArray[col].visible = isEnabled(MoveType.COL);
+    }
+    diagonalControlButton.visible = isEnabled(MoveType.DIAGONAL);
+    mainDiagonalControlButton.visible = isEnabled(MoveType.MAIN_DIAGONAL);
+    plusControlButton.visible = isEnabled(MoveType.PLUS);
+    for (i = 0; i < blockControlButtons.length; i++) {
+        blockControlButtons[i].visible = isEnabled(MoveType.BLOCK);
     }
 
-    // randomly flip diagonal or not
-    if (Math.random() < 0.5) {
-        for (var i = 0; i < totalCol; i++) {
-            flipPiece(this.pieces_[this.pieces_.length - i - 1][i]);
-        }
-        this.suggestedFlipCount_++;
+    this.board_.addListener(this.boundBoardChangedCallback_);
+
+    if (this.playMode == cast.games.starcast.StarcastGame.PlayMode.RACE) {
+        this.startRace_();
     }
 
     this.checkFlipsFromPlayerMessage();
     this.displayFlipSuggestionMessage();
+    this.updateGameData_();
+};
+
+
+/**
+ * Replaces the current board with a new one generated from a seed, keeping
+ * the grid size and image.
+ * @param {?string} seed The seed to generate from, or null for a random one.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.newPuzzle_ = function (seed) {
+    this.clearPuzzle_();
+    this.seed_ = seed;
+    // every board starts with the first connected player's turn
+    this.turnOrder_.restart();
+    this.skipDroppedPlayers_();
+    this.startTurn_();
+    // otherwise onImageLoaded_ builds the board once the image is in
+    if (this.isImageLoaded_ && !this.imageSearch_) {
+        this.imageOnLoad();
+    }
+};
+
+
+/**
+ * Removes the pieces, control buttons and solved messages of the current
+ * board from the stage.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.clearPuzzle_ = function () {
+    if (this.board_) {
+        this.board_.removeListener(this.boundBoardChangedCallback_);
+        this.board_ = null;
+    }
+
+    destroyPieces(this.pieces_);
+    this.pieces_ = [];
+    this.clearRaceBoards_();
+    this.race_ = null;
+
+    for (var i = 0; i < this.controlButtons_.length; i++) {
+        // the diagonal button is made once and reused by every board, the
+        // others are made per board from shared button textures
+        if (this.controlButtons_[i] == this.diagonalControlButton_) {
+            this.container_.removeChild(this.controlButtons_[i]);
+        } else {
+            this.controlButtons_[i].destroy();
+        }
+    }
+    this.controlButtons_ = [];
+
+    for (i = 0; i < this.roundMessages_.length; i++) {
+        this.roundMessages_[i].destroy();
+    }
+    this.roundMessages_ = [];
+    this.recordCard_ = null;
+
+    this.playerEachFlipCount_ = 0;
+    this.history_.clear();
+    this.penaltyPoints_ = 0;
+    this.scoreboard_.clear();
+    this.lost_ = false;
+    this.backgroundSprite_.visible = true;
+};
+
+
+/**
+ * Publishes a snapshot of the game state to senders through the game data,
+ * broadcast to every player right away. The GameManager also includes it in
+ * the status of senders that connect or reconnect later, so they can mirror
+ * the board and ask for the same board again.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.updateGameData_ = function () {
+    this.gameManager_.updateGameData(this.getGameStateSnapshot_(), true);
+};
+
+
+/**
+ * @return {!Object} A compact, JSON friendly snapshot of the game state. The
+ *     board bits are listed row by row, '1' meaning flipped. There is no
+ *     board outside of play until the first one was played.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getGameStateSnapshot_ = function () {
+    var players = [];
+    for (var playerId in this.playerMap_) {
+        var playerSprite = this.playerMap_[playerId];
+        players.push({
+            playerId: playerId,
+            name: this.playerNames_[playerId] || null,
+            slot: this.players_.indexOf(playerSprite),
+            color: playerSprite.tint,
+            connected: !this.dropExpiryTimes_[playerId]
+        });
+    }
+
+    return {
+        version: cast.games.starcast.Protocol.VERSION,
+        phase: this.lifecycle_.getPhase(),
+        host: this.getHostId_(),
+        board: this.board_ ? this.board_.serialize() : null,
+        moveCount: this.playerEachFlipCount_,
+        suggestedCount: this.suggestedFlipCount_,
+        remainingMoves: this.board_ && !this.race_ ? this.remainingMoves_ : null,
+        solved: !!this.board_ && this.board_.isSolved(),
+        seed: this.seed_,
+        mode: this.mode_,
+        difficulty: this.difficulty_,
+        moveTypes: this.moveTypes_,
+        undoPolicy: this.undoPolicy,
+        historyLength: this.history_.getMoves().length,
+        recentMoves: this.history_.getMoves().slice(-cast.games.starcast.StarcastGame.RECENT_MOVES_),
+        undoneMoves: this.history_.getUndoneMoves().length,
+        scores: this.scoreboard_.getRanking(),
+        playMode: this.playMode,
+        theme: this.imageTheme,
+        municipality: this.imageMunicipality,
+        turnSeconds: this.turnSeconds,
+        turn: this.playMode == cast.games.starcast.StarcastGame.PlayMode.TURN_BASED ?
+            this.turnOrder_.getCurrent() : null,
+        turnEndsAt: this.turnEndTime_ || null,
+        race: this.race_ ? this.getRaceSnapshot_() : null,
+        teams: this.playMode == cast.games.starcast.StarcastGame.PlayMode.COOP ? this.getTeams_() : null,
+        lost: this.lost_,
+        solution: this.lost_ ? this.getSolution_() : null,
+        image: this.imageLoader_ ? {
+            id: this.imageId_,
+            status: this.imageStatus_,
+            // cached images come from receiver-local blob: URLs senders cannot load
+            url: !this.isImageLoaded_ ? null :
+                this.imageStatus_ == cast.games.starcast.ImageLoader.Status.FALLBACK ?
+                    cast.games.starcast.StarcastGame.FALLBACK_IMAGE_URL_ : this.finna.getCoverUrl(this.imageId_),
+            width: this.isImageLoaded_ ? this.apiImage_.width : 0,
+            height: this.isImageLoaded_ ? this.apiImage_.height : 0,
+            record: this.imageRecord_
+        } : null,
+        players: players,
+        queue: this.queue_.slice(),
+        round: this.round_,
+        rounds: this.roundsPerSession,
+        sessionScores: this.sessionScores_.getRanking()
+    };
+};
+
+/**
+ * @return {!Object} The board and move count of every racer, the winner, and
+ *     the placements once the race is over.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getRaceSnapshot_ = function () {
+    var racers = this.race_.getPlayerIds().map(function (playerId) {
+        var board = this.race_.getBoard(playerId);
+        return {
+            playerId: playerId,
+            board: board.serialize(),
+            moveCount: this.race_.getMoveCount(playerId),
+            solved: board.isSolved()
+        };
+    }, this);
+
+    return {
+        racers: racers,
+        winner: this.race_.getWinner(),
+        placements: this.race_.isFinished() ? this.race_.getPlacements() : null
+    };
 };
 
-function createLeftSideButtons(buttonsArray, row, totalRow, totalCol, buttonXdist, buttonYdist, container) {
+function createControlButton(buttonTextureId, index, size) {
+    var textureNames = cast.games.starcast.StarcastGame.BUTTON_TEXTURES_;
+    var button = new PIXI.Sprite(buttonTextureId[textureNames[index % textureNames.length]]);
+    button.width = button.height = size;
+    return button;
+}
+
+function createPlusControl(size) {
+    var arm = size / 3;
+    var plus = new PIXI.Graphics();
+    plus.beginFill(0xffffff);
+    plus.drawRect(arm, 0, arm, size);
+    plus.drawRect(0, arm, size, arm);
+    plus.endFill();
+    return plus;
+}
+
+function createBlockControls(buttonTextureId, size) {
+    var buttons = [];
+    for (var i = 0; i < cast.games.starcast.PuzzleBoard.BLOCK_COUNT; i++) {
+        var button = new PIXI.Sprite(buttonTextureId["orangeButton.png"]);
+        // leave a small gap between the quadrants
+        button.width = button.height = size / 2 - 2;
+        buttons.push(button);
+    }
+    return buttons;
+}
+
+function destroyPieces(pieces) {
+    for (var row = 0; row < pieces.length; row++) {
+        for (var col = 0; col < pieces[row].length; col++) {
+            createjs.Tween.removeTweens(pieces[row][col].scale);
+            // every piece has its own texture on the puzzle image
+            pieces[row][col].destroy(true);
+        }
+    }
+}
+
+function createLeftSideButtons(buttonsArray, row, totalRow, totalCol, buttonXdist, buttonYdist, center, container) {
     var button = buttonsArray[row % buttonsArray.length];
     // set a button at top left of the puzzles
-    button.position.x = container.width / 2 - buttonXdist / 2 - (buttonXdist * (totalCol + 1.6) / 2);
-    button.position.y = container.height / 2 - buttonYdist / 2 - (buttonYdist * (totalRow - 0.2) / 2);
+    button.position.x = center.x - buttonXdist / 2 - (buttonXdist * (totalCol + 1.6) / 2);
+    button.position.y = center.y - buttonYdist / 2 - (buttonYdist * (totalRow - 0.2) / 2);
     // set button's proper y
     button.position.y = button.position.y + (buttonYdist * row);
     container.addChild(button);
 }
 
-function createBottomSideButtons(buttonsArray, col, totalRow, totalCol, buttonXdist, buttonYdist, container) {
+function createBottomSideButtons(buttonsArray, col, totalRow, totalCol, buttonXdist, buttonYdist, center, container) {
     var button = buttonsArray[col % buttonsArray.length];
     // set a button at top left of the puzzles
-    button.position.x = container.width / 2 - buttonXdist / 2 - (buttonXdist * (totalCol - 0.2) / 2);
-    button.position.y = container.height / 2 - buttonYdist / 2 + (buttonYdist * (totalRow + 0.1) / 2);
-    // set button's proper y
-    button.position.x = button.position.x + (buttonYdist * col);
+    button.position.x = center.x - buttonXdist / 2 - (buttonXdist * (totalCol - 0.2) / 2);
+    button.position.y = center.y - buttonYdist / 2 + (buttonYdist * (totalRow + 0.1) / 2);
+    // set button's proper x
+    button.position.x = button.position.x + (buttonXdist * col);
     container.addChild(button);
 }
 
+/**
+ * Creates the sprite of one piece of the puzzle image.
+ * @param {cast.games.starcast.PuzzleBoard=} opt_board Board the piece shows,
+ *     the shared board by default.
+ * @param {number=} opt_scale Size relative to the full size puzzle, 1 by
+ *     default.
+ * @return {!PIXI.Sprite}
+ */
 cast.games.starcast.StarcastGame.prototype.createSpriteFromSpriteSheet = function (pieceWidth, pieceHeight, row, col,
-                                                                                   totalRow, totalCol, container) {
+                                                                                   totalRow, totalCol, center,
+                                                                                   container, opt_board, opt_scale) {
+    var board = opt_board || this.board_;
+    var scale = opt_scale || 1;
 
     var rectangle = new PIXI.Rectangle(pieceWidth * col, pieceHeight * row, pieceWidth, pieceHeight);
     //Tell the texture to use that rectangular section
@@ -349,23 +1230,28 @@ cast.games.starcast.StarcastGame.prototype.createSpriteFromSpriteSheet = functio
     var imageXRatio = this.apiImage_.width / this.puzzleWidth_;
     var imageYRatio = this.apiImage_.height / this.puzzleHeight_;
 
-    var XScaleRate = 1 / imageXRatio;
-    var YScaleRate = 1 / imageYRatio;
+    var XScaleRate = scale / imageXRatio;
+    var YScaleRate = scale / imageYRatio;
 
     piece.scale.x = XScaleRate;
     piece.scale.y = YScaleRate;
 
+    // horizontal scale to tween back to when the piece is flipped back
+    piece.unflippedScaleX = XScaleRate;
+
     // Center all pieces
-    piece.x = container.width / 2 - piece.width / 2 - (piece.width * totalCol / 2);
-    piece.y = container.height / 2 - piece.height / 2 - (piece.height * totalRow / 2);
+    piece.x = center.x - piece.width / 2 - (piece.width * totalCol / 2);
+    piece.y = center.y - piece.height / 2 - (piece.height * totalRow / 2);
 
     // Spread pieces evenly
     // Widen the space between pieces after scaling the pieces
     piece.x = piece.x + (piece.width * col);
     piece.y = piece.y + (piece.height * row);
 
-    // boolean flag for solution checking
-    piece.flipped = false;
+    // start flipped away if the scrambled board says so
+    if (board.isFlipped(row, col)) {
+        piece.scale.x = 0;
+    }
 
     // add piece to stage
     container.addChild(piece);
@@ -386,11 +1272,241 @@ cast.games.starcast.StarcastGame.prototype.imageOnLoad = function (event) {
 };
 
 
+/**
+ * Starts loading the cover image of a Finna record as the puzzle image.
+ * Does nothing if it is the current image, unless it failed to load. The
+ * previous image stays in use until the new one is in.
+ * @param {string} imageId
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.loadImage_ = function (imageId) {
+    if (this.imageLoader_ && imageId == this.imageId_ &&
+        this.imageStatus_ != cast.games.starcast.ImageLoader.Status.FAILED) {
+        return;
+    }
+    if (this.imageLoader_) {
+        this.imageLoader_.cancel();
+    }
+    this.imageId_ = imageId;
+    this.isImageLoaded_ = false;
+    this.imageLoader_ = new cast.games.starcast.ImageLoader(this.finna.getCoverUrl(imageId),
+        cast.games.starcast.StarcastGame.FALLBACK_IMAGE_URL_, this.boundImageLoadedCallback_,
+        this.boundImageStatusCallback_, this.imageCache_, imageId);
+    this.loadImageRecord_(imageId);
+    this.imageLoader_.start();
+};
+
+
+/**
+ * Tells senders how loading the puzzle image goes.
+ * @param {string} status One of cast.games.starcast.ImageLoader.Status.
+ * @param {number} attempt
+ * @param {?string} reason Why the image is being retried or replaced.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onImageStatus_ = function (status, attempt, reason) {
+    console.log('Image ' + this.imageId_ + ' ' + status + ', attempt ' + attempt +
+        (reason ? ': ' + reason : ''));
+    this.imageStatus_ = status;
+    var Protocol = cast.games.starcast.Protocol;
+    this.gameManager_.sendGameMessageToAllConnectedPlayers(Protocol.newMessage(Protocol.ReplyType.IMAGE_STATUS, {
+        imageId: this.imageId_,
+        status: status,
+        attempt: attempt,
+        reason: reason
+    }));
+    this.updateGameData_();
+};
+
+
+/**
+ * Fetches the details of the record of the puzzle image, shown once the
+ * puzzle is solved.
+ * @param {string} imageId
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.loadImageRecord_ = function (imageId) {
+    if (this.recordRequest_) {
+        this.recordRequest_.abort();
+    }
+    this.imageRecord_ = null;
+    this.recordRequest_ = this.finna.getRecord(imageId, function (record) {
+        this.recordRequest_ = null;
+        this.imageRecord_ = record;
+        // the puzzle may have been solved, or the race won, while the record
+        // was on its way
+        if ((this.board_ && this.checkPuzzleIsSolved()) || (this.race_ && this.race_.getWinner())) {
+            this.displayRecordCard_();
+        }
+        this.updateGameData_();
+    }.bind(this), function (reason) {
+        this.recordRequest_ = null;
+        console.log(reason + '. Not showing what the image is.');
+    }.bind(this));
+};
+
+
+/**
+ * Searches Finna for the image of the round and loads a random record found.
+ * Loads the image of the round among the records found earlier, or else in
+ * imageIds, if nothing is found. Other records found are kept for the next
+ * rounds.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.searchImage_ = function () {
+    var fallbackIds = this.foundImageIds_.length ? this.foundImageIds_ : this.imageIds;
+    var fallbackId = fallbackIds[(this.round_ - 1) % fallbackIds.length];
+    if (this.imageSearch_) {
+        this.imageSearch_.abort();
+    }
+    this.imageSearch_ = this.finna.search(this.imageQuery, function (records) {
+        this.rememberFoundImages_(records);
+        var imageIds = this.pickImageIds_(records, 1 + cast.games.starcast.StarcastGame.PREFETCH_COUNT_);
+        if (!imageIds.length) {
+            console.log('No Finna record with an image found. Playing ' + fallbackId + ' instead.');
+        }
+        this.upcomingImageIds_ = imageIds.slice(1);
+        this.onImageSearched_(imageIds[0] || fallbackId);
+        this.prefetchImages_();
+    }.bind(this), function (reason) {
+        console.log(reason + '. Playing ' + fallbackId + ' instead.');
+        this.onImageSearched_(fallbackId);
+    }.bind(this));
+};
+
+
+/**
+ * Keeps the ids of the records a search found, unless it found none.
+ * @param {!Array.<!cast.games.starcast.FinnaClient.Record>} records
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.rememberFoundImages_ = function (records) {
+    if (records.length) {
+        this.foundImageIds_ = records.map(function (record) {
+            return record.id;
+        });
+    }
+};
+
+
+/**
+ * Picks records at random, leaving out the current image and those already
+ * picked for the next rounds.
+ * @param {!Array.<!cast.games.starcast.FinnaClient.Record>} records
+ * @param {number} count Most record ids to pick.
+ * @return {!Array.<string>}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.pickImageIds_ = function (records, count) {
+    var random = new cast.games.starcast.Random(cast.games.starcast.Random.newSeed());
+    records = records.filter(function (record) {
+        return record.id != this.imageId_ && this.upcomingImageIds_.indexOf(record.id) == -1;
+    }, this);
+    var imageIds = [];
+    while (imageIds.length < count) {
+        var record = cast.games.starcast.FinnaClient.pickRecord(records, random);
+        if (!record) {
+            break;
+        }
+        records.splice(records.indexOf(record), 1);
+        imageIds.push(record.id);
+    }
+    return imageIds;
+};
+
+
+/**
+ * Prefetches the images of the next rounds into the cache while playing,
+ * searching Finna for more of them first if needed.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.prefetchImages_ = function () {
+    if (!this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.PLAYING)) {
+        return;
+    }
+    var count = cast.games.starcast.StarcastGame.PREFETCH_COUNT_;
+    var imageIds = this.upcomingImageIds_;
+    if (!this.imageQuery) {
+        imageIds = [];
+        for (var i = 1; i <= count; i++) {
+            imageIds.push(this.imageIds[(this.round_ - 1 + i) % this.imageIds.length]);
+        }
+    } else if (imageIds.length < count && !this.imageSearch_ && !this.prefetchSearch_) {
+        this.prefetchSearch_ = this.finna.search(this.imageQuery, function (records) {
+            this.prefetchSearch_ = null;
+            this.rememberFoundImages_(records);
+            var found = this.pickImageIds_(records, count - this.upcomingImageIds_.length);
+            this.upcomingImageIds_ = this.upcomingImageIds_.concat(found);
+            for (var i = 0; i < found.length; i++) {
+                this.imageCache_.prefetch(found[i], this.finna.getCoverUrl(found[i]));
+            }
+        }.bind(this), function (reason) {
+            this.prefetchSearch_ = null;
+            console.log(reason + '. Not prefetching the next images.');
+        }.bind(this));
+    }
+    for (i = 0; i < imageIds.length; i++) {
+        this.imageCache_.prefetch(imageIds[i], this.finna.getCoverUrl(imageIds[i]));
+    }
+};
+
+
+/**
+ * Loads the image a search settled on, and builds the board right away if
+ * it is the image already loaded.
+ * @param {string} imageId
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onImageSearched_ = function (imageId) {
+    this.imageSearch_ = null;
+    this.loadImage_(imageId);
+    if (this.isImageLoaded_) {
+        this.onImageLoaded_(this.apiImage_,
+            this.imageStatus_ == cast.games.starcast.ImageLoader.Status.FALLBACK);
+    }
+};
+
+
+/**
+ * Called when the puzzle image is loaded. Builds the board if play already
+ * started while the image was loading.
+ * @param {!Image} image
+ * @param {boolean} isFallback True if the bundled image replaced the one
+ *     from Finna, which then has no record to show.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onImageLoaded_ = function (image, isFallback) {
+    this.apiImage_ = image;
+    this.isImageLoaded_ = true;
+    if (isFallback) {
+        if (this.recordRequest_) {
+            this.recordRequest_.abort();
+            this.recordRequest_ = null;
+        }
+        this.imageRecord_ = null;
+    }
+    if (this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.PLAYING) && !this.board_ && !this.imageSearch_) {
+        this.imageOnLoad();
+    }
+};
+
+
 /**
  * Called when all assets are loaded.
  * @private
  */
 cast.games.starcast.StarcastGame.prototype.onAssetsLoaded_ = function () {
+    this.isLoaded_ = true;
+    this.start_();
+};
+
+
+/**
+ * Puts the background and player sprites on the stage and starts loading
+ * the puzzle image. Undone by #tearDown_.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.setUpGame_ = function () {
     this.totalPuzzleRows = 6;
     this.totalPuzzleColumns = 6;
     this.backgroundSprite_ =
@@ -402,10 +1518,7 @@ cast.games.starcast.StarcastGame.prototype.onAssetsLoaded_ = function () {
     this.diagonalControlButton_ = PIXI.Sprite.fromImage("assets/starControl_diagonal.png");
 
     //Get Architecture images from Fingna API
-    var testURL = "https://api.finna.fi/Cover/Show?id=muusa.urn%3Auuid%3A7682B120-4F8E-4210-AD4D-1B118BA7699E&index=0&size=large";
-    this.apiImage_ = new Image();
-    this.apiImage_.addEventListener("load", this.imageOnLoad.bind(this));
-    this.apiImage_.src = testURL;
+    this.loadImage_(this.imageIds[0]);
 
     for (var i = 0; i < this.MAX_PLAYERS_; i++) {
         var player = PIXI.Sprite.fromImage('assets/player.png');
@@ -419,8 +1532,6 @@ cast.games.starcast.StarcastGame.prototype.onAssetsLoaded_ = function () {
 
         this.players_.push(player);
     }
-
-    this.start_();
 };
 
 
@@ -434,7 +1545,45 @@ cast.games.starcast.StarcastGame.prototype.update_ = function (timestamp) {
         return;
     }
 
-    requestAnimationFrame(this.boundUpdateFunction_);
+    this.animationFrameId_ = requestAnimationFrame(this.boundUpdateFunction_);
+
+    // nothing moves on while everyone is gone
+    if (this.pauseTime_) {
+        if (Date.now() >= this.shutdownTime_) {
+            this.shutDown_();
+            return;
+        }
+        this.displayShutdownMessage_();
+        this.canvasrenderer_.render(this.container_);
+        return;
+    }
+
+    // players who dropped and did not come back in time leave the game
+    for (var playerId in this.dropExpiryTimes_) {
+        if (Date.now() >= this.dropExpiryTimes_[playerId]) {
+            console.log('Player ' + playerId + ' did not reconnect in time.');
+            this.removePlayer_(playerId);
+        }
+    }
+
+    // count down to the next round of the session after a break
+    if (this.nextRoundTime_ && Date.now() >= this.nextRoundTime_) {
+        this.lifecycle_.moveTo(cast.games.starcast.Lifecycle.Phase.COUNTDOWN);
+    }
+
+    // start playing when the countdown is over
+    if (this.countdownEndTime_ && Date.now() >= this.countdownEndTime_) {
+        this.lifecycle_.moveTo(cast.games.starcast.Lifecycle.Phase.PLAYING);
+    }
+    this.displayCountdownMessage_();
+
+    // pass the turn on when its time is up
+    if (this.turnEndTime_ && Date.now() >= this.turnEndTime_) {
+        console.log('Turn of ' + this.turnOrder_.getCurrent() + ' timed out.');
+        this.passTurn_();
+        this.updateGameData_();
+    }
+    this.displayTurnMessage_();
 
     this.canvasrenderer_.render(this.container_);
 };
@@ -453,146 +1602,1568 @@ cast.games.starcast.StarcastGame.prototype.onPlayerAvailable_ =
         }
 
         var playerId = /** @type {string} */ (event.playerInfo.playerId);
+
+        // Senders announce their protocol version when becoming available.
+        // Outdated ones are told to update instead of joining the game.
+        var Protocol = cast.games.starcast.Protocol;
+        var data = event.requestExtraMessageData || {};
+        var error = Protocol.checkVersion(data[Protocol.VERSION_FIELD]) ||
+            cast.games.starcast.MessageValidator.validate(data,
+                cast.games.starcast.StarcastGame.getPlayerAvailableSchema_());
+        if (error) {
+            this.sendError_(playerId, error);
+            return;
+        }
+        var name = data[cast.games.starcast.StarcastGame.PLAYER_NAME_FIELD_];
+        if (name) {
+            this.playerNames_[playerId] = name;
+        }
+
+        // Senders joining while every ship is taken watch until one frees up.
+        if (!this.playerMap_[playerId] && !this.hasFreeSlot_()) {
+            this.queuePlayer_(playerId);
+            return;
+        }
+
         // Automatically transition available players to playing state.
         this.gameManager_.updatePlayerState(playerId,
-            cast.receiver.games.PlayerState.PLAYING, null);
+            cast.receiver.games.PlayerState.PLAYING,
+            Protocol.newMessage(Protocol.ReplyType.WELCOME));
 
         this.addPlayer_(playerId);
     };
 
 
 /**
- * Adds a player to the game.
- * @param {string} playerId
+ * @return {boolean} True if a player ship is free for a new player.
  * @private
  */
-cast.games.starcast.StarcastGame.prototype.addPlayer_ = function (playerId) {
-    // Check if player is already on the screen.
-    var playerSprite = this.playerMap_[playerId];
-    if (playerSprite && playerSprite.visible) {
-        return;
-    }
-
-    // Assign first available player sprite to new player.
+cast.games.starcast.StarcastGame.prototype.hasFreeSlot_ = function () {
     for (var i = 0; i < this.MAX_PLAYERS_; i++) {
-        var player = this.players_[i];
-        if (player && !player.visible) {
-            // Associate player sprite with player ID.
-            this.playerMap_[playerId] = player;
-            player.visible = true;
-            player.tint = Math.random() * 0xffffff;
-            break;
+        if (this.players_[i] && !this.players_[i].visible) {
+            return true;
         }
     }
+    return false;
 };
 
 
 /**
- * Handles when a player disconnects from the game manager.
- * @param {cast.receiver.games.Event} event
+ * Makes a sender a spectator at the end of the queue and tells them their
+ * place in it.
+ * @param {string} playerId
  * @private
  */
-cast.games.starcast.StarcastGame.prototype.onPlayerQuit_ =
-    function (event) {
-        if (event.statusCode != cast.receiver.games.StatusCode.SUCCESS) {
-            console.log('Error: Event status code: ' + event.statusCode);
-            console.log('Reason for error: ' + event.errorDescription);
-            return;
-        }
+cast.games.starcast.StarcastGame.prototype.queuePlayer_ = function (playerId) {
+    // carry on if everyone had left
+    this.resume_();
 
-        var playerSprite = this.playerMap_[event.playerInfo.playerId];
-        if (playerSprite) {
-            playerSprite.visible = false;
-        }
-        delete this.playerMap_[event.playerInfo.playerId];
+    if (this.queue_.indexOf(playerId) == -1) {
+        this.queue_.push(playerId);
+    }
+    console.log('Every ship is taken. Player ' + playerId + ' waits in place ' +
+        this.queue_.length + ' of the queue.');
+    var Protocol = cast.games.starcast.Protocol;
+    this.gameManager_.updatePlayerState(playerId,
+        cast.receiver.games.PlayerState.IDLE,
+        Protocol.newMessage(Protocol.ReplyType.QUEUED, {position: this.queue_.indexOf(playerId) + 1}));
+    this.displayQueueMessage_();
+    this.updateGameData_();
+};
 
-        // Tear down the game if there are no more players. Might want to show a nice
-        // UI with a countdown instead of tearing down instantly.
-        var connectedPlayers = this.gameManager_.getConnectedPlayers();
-        if (connectedPlayers.length == 0) {
-            console.log('No more players connected. Tearing down game.');
-            cast.receiver.CastReceiverManager.getInstance().stop();
-        }
-    };
 
 /**
- * Handles incoming messages.
- * @param {cast.receiver.games.Event} event
+ * Takes a sender out of the queue. Those behind them move up.
+ * @param {string} playerId
+ * @return {boolean} True if they were queued.
  * @private
  */
-cast.games.starcast.StarcastGame.prototype.onGameMessage_ = function (event) {
+cast.games.starcast.StarcastGame.prototype.unqueuePlayer_ = function (playerId) {
+    var index = this.queue_.indexOf(playerId);
+    if (index == -1) {
+        return false;
+    }
+    this.queue_.splice(index, 1);
+    this.sendQueuePositions_(index);
+    this.displayQueueMessage_();
+    this.updateGameData_();
+    return true;
+};
 
-    console.log(event);
-    console.log(event.requestExtraMessageData);
+
+/**
+ * Gives free ships to the senders at the front of the queue.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.promoteQueuedPlayers_ = function () {
+    var promoted = 0;
+    while (this.queue_.length && this.hasFreeSlot_()) {
+        var playerId = this.queue_.shift();
+        promoted++;
+        console.log('Player ' + playerId + ' got a ship after waiting in the queue.');
+        var Protocol = cast.games.starcast.Protocol;
+        this.gameManager_.updatePlayerState(playerId,
+            cast.receiver.games.PlayerState.PLAYING,
+            Protocol.newMessage(Protocol.ReplyType.WELCOME));
+        this.addPlayer_(playerId);
+    }
+    if (promoted) {
+        this.sendQueuePositions_(0);
+        this.displayQueueMessage_();
+        this.updateGameData_();
+    }
+};
+
+
+/**
+ * Tells the queued senders from an index on their new place in the queue.
+ * @param {number} fromIndex
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.sendQueuePositions_ = function (fromIndex) {
+    var Protocol = cast.games.starcast.Protocol;
+    for (var i = fromIndex; i < this.queue_.length; i++) {
+        this.gameManager_.sendGameMessageToPlayer(this.queue_[i],
+            Protocol.newMessage(Protocol.ReplyType.QUEUED, {position: i + 1}));
+    }
+};
+
+
+/**
+ * Adds a player to the game.
+ * @param {string} playerId
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.addPlayer_ = function (playerId) {
+    // carry on if everyone had left
+    this.resume_();
+
+    // Check if player is already on the screen. Players reconnecting in time
+    // get their ship, turn, race board and score back as they were.
+    var playerSprite = this.playerMap_[playerId];
+    if (playerSprite && playerSprite.visible) {
+        if (this.dropExpiryTimes_[playerId]) {
+            console.log('Player ' + playerId + ' reconnected.');
+            delete this.dropExpiryTimes_[playerId];
+            this.highlightActivePlayer_();
+            this.displayLobbyMessage_();
+            this.updateGameData_();
+        }
+        return;
+    }
+
+    // Assign first available player sprite to new player.
+    for (var i = 0; i < this.MAX_PLAYERS_; i++) {
+        var player = this.players_[i];
+        if (player && !player.visible) {
+            // Associate player sprite with player ID.
+            this.playerMap_[playerId] = player;
+            this.playerSlots_[playerId] = i;
+            player.visible = true;
+            player.tint = Math.random() * 0xffffff;
+            this.turnOrder_.add(playerId);
+            break;
+        }
+    }
+
+    // players joining a race start from the same scrambled board
+    if (this.race_ && this.playerMap_[playerId] && !this.race_.isFinished()) {
+        this.addRacer_(playerId);
+        this.layoutRaceBoards_();
+    }
+
+    // the first player to join starts right away
+    if (this.turnOrder_.getPlayerIds().length == 1) {
+        this.startTurn_();
+    }
+    this.highlightActivePlayer_();
+    this.displayLobbyMessage_();
+    this.updateGameData_();
+};
+
+
+/**
+ * Handles when a player disconnects from the game manager.
+ * @param {cast.receiver.games.Event} event
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onPlayerQuit_ =
+    function (event) {
+        if (event.statusCode != cast.receiver.games.StatusCode.SUCCESS) {
+            console.log('Error: Event status code: ' + event.statusCode);
+            console.log('Reason for error: ' + event.errorDescription);
+            return;
+        }
+
+        if (!this.unqueuePlayer_(event.playerInfo.playerId)) {
+            this.removePlayer_(event.playerInfo.playerId);
+        }
+
+        // Tear down the game if there are no more players and none comes
+        // back within the grace period.
+        var connectedPlayers = this.gameManager_.getConnectedPlayers();
+        if (connectedPlayers.length == 0) {
+            this.pause_();
+        }
+    };
+
+
+/**
+ * Handles when a player's connection drops. They keep their ship, name and
+ * score for reconnectSeconds, but their turns are skipped meanwhile.
+ * @param {cast.receiver.games.Event} event
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onPlayerDropped_ = function (event) {
+    if (event.statusCode != cast.receiver.games.StatusCode.SUCCESS) {
+        console.log('Error: Event status code: ' + event.statusCode);
+        console.log('Reason for error: ' + event.errorDescription);
+        return;
+    }
+
+    // spectators have nothing to keep, they queue up again on reconnect
+    var playerId = event.playerInfo.playerId;
+    if (!this.playerMap_[playerId]) {
+        this.unqueuePlayer_(playerId);
+        return;
+    }
+    console.log('Player ' + playerId + ' dropped. Waiting ' + this.reconnectSeconds + ' s for them.');
+    this.dropExpiryTimes_[playerId] = Date.now() + this.reconnectSeconds * 1000;
+    if (this.turnOrder_.isTurnOf(playerId)) {
+        this.passTurn_();
+    }
+    this.highlightActivePlayer_();
+    this.displayLobbyMessage_();
+    this.updateGameData_();
+
+    if (this.gameManager_.getConnectedPlayers().length == 0) {
+        this.pause_();
+    }
+};
+
+
+/**
+ * Takes a player out of the game and frees their ship. Their scores stay.
+ * @param {string} playerId
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.removePlayer_ = function (playerId) {
+    var playerSprite = this.playerMap_[playerId];
+    if (playerSprite) {
+        playerSprite.visible = false;
+    }
+    delete this.playerMap_[playerId];
+    delete this.dropExpiryTimes_[playerId];
+
+    // a player leaving on their turn hands it to the next connected player
+    var wasTheirTurn = this.turnOrder_.isTurnOf(playerId);
+    this.turnOrder_.remove(playerId);
+    if (wasTheirTurn) {
+        this.skipDroppedPlayers_();
+        this.startTurn_();
+    }
+    this.highlightActivePlayer_();
+    if (this.race_ && !this.race_.isFinished()) {
+        this.race_.removePlayer(playerId);
+        this.layoutRaceBoards_();
+        // no one is left to win the race
+        if (this.race_.isFinished()) {
+            this.displayRaceResults_();
+            this.endGame_();
+        }
+    }
+    this.displayLobbyMessage_();
+    this.updateGameData_();
+
+    // the freed ship goes to whoever waited longest
+    this.promoteQueuedPlayers_();
+};
+
+
+/**
+ * @param {?string} playerId
+ * @return {boolean} True if the player dropped and did not reconnect yet.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.isDropped_ = function (playerId) {
+    return !!playerId && !!this.dropExpiryTimes_[playerId];
+};
+
+
+/**
+ * Pauses the game when everyone left and counts down to shutting down, once
+ * the players who dropped had their reconnectSeconds to come back. Shuts down
+ * right away if no one can come back and there is no grace period.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.pause_ = function () {
+    if (this.pauseTime_) {
+        return;
+    }
+    var now = Date.now();
+    var reconnectEndTime = now;
+    for (var playerId in this.dropExpiryTimes_) {
+        reconnectEndTime = Math.max(reconnectEndTime, this.dropExpiryTimes_[playerId]);
+    }
+    var shutdownTime = reconnectEndTime + this.shutdownGraceSeconds * 1000;
+    if (shutdownTime <= now) {
+        this.shutDown_();
+        return;
+    }
+    console.log('No more players connected. Tearing down game in ' + Math.ceil((shutdownTime - now) / 1000) +
+        ' s.');
+    this.pauseTime_ = now;
+    this.shutdownTime_ = shutdownTime;
+    this.updateManagerState_();
+    this.displayShutdownMessage_();
+};
+
+
+/**
+ * Resumes the paused game where it was when a player comes back in time.
+ * Timers pick up where they were paused.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.resume_ = function () {
+    if (!this.pauseTime_) {
+        return;
+    }
+    console.log('A player is back. Resuming game.');
+    var pausedFor = Date.now() - this.pauseTime_;
+    this.turnEndTime_ = this.turnEndTime_ && this.turnEndTime_ + pausedFor;
+    this.countdownEndTime_ = this.countdownEndTime_ && this.countdownEndTime_ + pausedFor;
+    this.nextRoundTime_ = this.nextRoundTime_ && this.nextRoundTime_ + pausedFor;
+    for (var playerId in this.dropExpiryTimes_) {
+        this.dropExpiryTimes_[playerId] += pausedFor;
+    }
+    this.pauseTime_ = 0;
+    this.shutdownTime_ = 0;
+    this.updateManagerState_();
+    this.displayShutdownMessage_();
+};
+
+
+/**
+ * Shuts the receiver down.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.shutDown_ = function () {
+    console.log('No more players connected. Tearing down game.');
+    cast.receiver.CastReceiverManager.getInstance().stop();
+};
+
+/**
+ * Handles incoming messages.
+ * @param {cast.receiver.games.Event} event
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onGameMessage_ = function (event) {
+
+    console.log(event);
+    console.log(event.requestExtraMessageData);
 
     if (event.statusCode != cast.receiver.games.StatusCode.SUCCESS) {
         console.log('Error: Event status code: ' + event.statusCode);
         console.log('Reason for error: ' + event.errorDescription);
 
-        return;
+        return;
+    }
+
+    var playerId = event.playerInfo.playerId;
+    var player = this.gameManager_.getPlayer(playerId);
+    if (!player) {
+        console.log('No player found for player ID ' + playerId);
+        return;
+    }
+
+    var error = this.handlePlayerData_(player, event.requestExtraMessageData);
+    if (error) {
+        this.sendError_(playerId, error);
+    }
+};
+
+
+/**
+ * Validates the envelope and payload of a game message and dispatches it on
+ * its type. See cast.games.starcast.Protocol.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {*} data
+ * @return {?cast.games.starcast.MessageValidator.Error} Why the message was
+ *     rejected, or null if it was handled.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.handlePlayerData_ = function (player, data) {
+    var Validator = cast.games.starcast.MessageValidator;
+    var Protocol = cast.games.starcast.Protocol;
+    var MessageType = Protocol.MessageType;
+    var error = Validator.validate(data, {}) ||
+        Protocol.checkVersion(data[Protocol.VERSION_FIELD]) ||
+        Validator.validate(data, Protocol.ENVELOPE_SCHEMA);
+    if (error) {
+        return error;
+    }
+
+    // spectators can only talk until they get a ship
+    var type = data[Protocol.TYPE_FIELD];
+    if (this.queue_.indexOf(player.playerId) != -1 && type != MessageType.CHAT && type != MessageType.PING) {
+        return Validator.newError(Validator.ErrorCode.SPECTATING, null,
+            'Player ' + player.playerId + ' is waiting in place ' + (this.queue_.indexOf(player.playerId) + 1) +
+            ' of the queue');
+    }
+
+    var payload = data[Protocol.PAYLOAD_FIELD] || {};
+    switch (type) {
+        case MessageType.MOVE:
+            return Validator.validate(payload, cast.games.starcast.StarcastGame.getMoveSchema_()) ||
+                this.onPlayerMessage_(player, payload[cast.games.starcast.StarcastGame.ROW_OR_COL_FIELD_],
+                    payload[cast.games.starcast.StarcastGame.NUM_ROW_OR_COL_FIELD_]);
+        case MessageType.UNDO:
+            return this.checkCanMove_(player) || this.checkTurn_(player) || this.checkCanUndo_() ||
+                this.checkBudget_(player,
+                    this.undoPolicy == cast.games.starcast.StarcastGame.UndoPolicy.COUNTS_AS_MOVE) ||
+                (this.undoMove_(player.playerId) ? null : Validator.newError(Validator.ErrorCode.NOTHING_TO_UNDO, null,
+                    'There is no move to undo'));
+        case MessageType.REDO:
+            return this.checkCanMove_(player) || this.checkTurn_(player) || this.checkCanUndo_() ||
+                this.checkBudget_(player, true) ||
+                (this.redoMove_(player.playerId) ? null : Validator.newError(Validator.ErrorCode.NOTHING_TO_REDO, null,
+                    'There is no undone move to redo'));
+        case MessageType.START:
+            return this.onStartMessage_(player);
+        case MessageType.HINT:
+            return this.onHintMessage_(player);
+        case MessageType.NEW_GAME:
+            return Validator.validate(payload, cast.games.starcast.StarcastGame.getNewPuzzleSchema_()) ||
+                this.onNewPuzzleMessage_(player, payload);
+        case MessageType.SETTINGS:
+            return Validator.validate(payload, cast.games.starcast.StarcastGame.getSettingsSchema_()) ||
+                this.onSettingsMessage_(player, payload);
+        case MessageType.CHAT:
+            return Validator.validate(payload, cast.games.starcast.StarcastGame.getChatSchema_()) ||
+                this.onChatMessage_(player, payload);
+        case MessageType.PING:
+            return Validator.validate(payload, cast.games.starcast.StarcastGame.getPingSchema_()) ||
+                this.onPingMessage_(player, payload);
+    }
+    return null;
+};
+
+
+/**
+ * Sends a structured error back to the sender of a rejected message.
+ * @param {string} playerId
+ * @param {!cast.games.starcast.MessageValidator.Error} error
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.sendError_ = function (playerId, error) {
+    console.log('Rejected message from ' + playerId + ': ' + error.message);
+    this.gameManager_.sendGameMessageToPlayer(playerId,
+        cast.games.starcast.Protocol.newMessage(cast.games.starcast.Protocol.ReplyType.ERROR, error));
+};
+
+
+/**
+ * Starts the countdown to play when the host asks for it, from the lobby or
+ * from the results of the previous board.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onStartMessage_ = function (player) {
+    var Validator = cast.games.starcast.MessageValidator;
+    var error = this.checkHost_(player, 'start the game');
+    if (error) {
+        return error;
+    }
+    if (!this.lifecycle_.canMoveTo(cast.games.starcast.Lifecycle.Phase.COUNTDOWN)) {
+        return Validator.newError(Validator.ErrorCode.WRONG_PHASE, null,
+            'The game cannot be started in the ' + this.lifecycle_.getPhase() + ' phase');
+    }
+    this.lifecycle_.moveTo(cast.games.starcast.Lifecycle.Phase.COUNTDOWN);
+    return null;
+};
+
+
+/**
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {string} action What only the host can do, for the error message.
+ * @return {?cast.games.starcast.MessageValidator.Error} NOT_HOST unless the
+ *     player is the host, else null.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.checkHost_ = function (player, action) {
+    var hostId = this.getHostId_();
+    if (player.playerId == hostId) {
+        return null;
+    }
+    var Validator = cast.games.starcast.MessageValidator;
+    return Validator.newError(Validator.ErrorCode.NOT_HOST, null,
+        'Only the host, player ' + hostId + ', can ' + action);
+};
+
+
+/**
+ * @return {?string} Id of the host, the player who joined first of those
+ *     still connected.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getHostId_ = function () {
+    var playerIds = this.turnOrder_.getPlayerIds().filter(function (playerId) {
+        return !this.isDropped_(playerId);
+    }, this);
+    return playerIds[0] || null;
+};
+
+
+/**
+ * Sets up the screen for a new phase and tells the GameManager and senders
+ * about it.
+ * @param {string} phase
+ * @param {string} previous
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onPhaseChanged_ = function (phase, previous) {
+    var Phase = cast.games.starcast.Lifecycle.Phase;
+    console.log('Game phase changed from ' + previous + ' to ' + phase);
+    switch (phase) {
+        case Phase.LOBBY:
+            this.nextRoundTime_ = 0;
+            this.clearPuzzle_();
+            break;
+        case Phase.COUNTDOWN:
+            // clear the previous board away while counting down, and load the
+            // image of the next round meanwhile
+            this.nextRoundTime_ = 0;
+            this.clearPuzzle_();
+            this.startRound_();
+            this.countdownEndTime_ = Date.now() + cast.games.starcast.StarcastGame.COUNTDOWN_SECONDS_ * 1000;
+            break;
+        case Phase.PLAYING:
+            this.countdownEndTime_ = 0;
+            this.newPuzzle_(this.nextSeed_);
+            this.nextSeed_ = null;
+            // fetch the next rounds' images while this one is played
+            this.prefetchImages_();
+            break;
+        case Phase.RESULTS:
+            this.turnEndTime_ = 0;
+            this.endRound_();
+            break;
+    }
+
+    // the board and its texts only show while playing and in the results
+    var showsBoard = phase == Phase.PLAYING || phase == Phase.RESULTS;
+    if (this.hud_) {
+        this.hud_.visible = showsBoard;
+    }
+    if (this.hintMessage_) {
+        this.hintMessage_.visible = showsBoard;
+    }
+
+    this.updateManagerState_();
+    this.displayLobbyMessage_();
+    this.displayCountdownMessage_();
+    this.updateGameData_();
+};
+
+
+/**
+ * Tells the GameManager whether players can join and whether the game is
+ * being played, after the current phase. Players can only join between
+ * boards, or to carry on a game everyone left.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.updateManagerState_ = function () {
+    var Phase = cast.games.starcast.Lifecycle.Phase;
+    var GameplayState = cast.receiver.games.GameplayState;
+    var phase = this.lifecycle_.getPhase();
+    this.gameManager_.updateLobbyState(
+        phase == Phase.LOBBY || phase == Phase.RESULTS || this.pauseTime_ ?
+            cast.receiver.games.LobbyState.OPEN : cast.receiver.games.LobbyState.CLOSED, null);
+    this.gameManager_.updateGameplayState(
+        this.pauseTime_ ? GameplayState.PAUSED :
+            phase == Phase.PLAYING ? GameplayState.RUNNING : GameplayState.SHOWING_INFO_SCREEN, null);
+};
+
+
+/**
+ * Counts a new round, starting a new session after the last round of the
+ * previous one, and loads the image of the round: the one asked for with
+ * newGame, else one found by imageQuery, prefetched if possible, else the
+ * next in imageIds.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.startRound_ = function () {
+    if (this.isSessionOver_() || this.round_ == 0) {
+        this.round_ = 0;
+        this.sessionScores_.clear();
+    }
+    this.round_++;
+    if (this.nextImageId_) {
+        this.loadImage_(this.nextImageId_);
+    } else if (this.imageQuery && this.upcomingImageIds_.length) {
+        this.loadImage_(this.upcomingImageIds_.shift());
+    } else if (this.imageQuery) {
+        this.searchImage_();
+    } else {
+        this.loadImage_(this.imageIds[(this.round_ - 1) % this.imageIds.length]);
+    }
+    this.nextImageId_ = null;
+};
+
+
+/**
+ * Adds the scores of the round to the session, shows the standings, and
+ * counts down to the next round unless the session is over. Racers score the
+ * moves their board got closer to solved, like moves on the shared board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.endRound_ = function () {
+    var PROGRESS_POINTS = cast.games.starcast.StarcastGame.PROGRESS_POINTS_;
+    var scores = this.race_ ? this.race_.getPlacements().map(function (placement) {
+        return {
+            playerId: placement.playerId,
+            moveCount: placement.moveCount,
+            points: PROGRESS_POINTS * (this.suggestedFlipCount_ - placement.remainingMoves)
+        };
+    }, this) : this.scoreboard_.getRanking();
+    for (var i = 0; i < scores.length; i++) {
+        this.sessionScores_.add(scores[i].playerId, scores[i].moveCount, scores[i].points);
+    }
+
+    var standingsText = "Round " + this.round_ + " of " + this.roundsPerSession + "\nSession standings\n";
+    var standings = this.sessionScores_.getRanking();
+    for (i = 0; i < standings.length; i++) {
+        standingsText += standings[i].place + ". " + this.getPlayerLabel_(standings[i].playerId) + " : " +
+            standings[i].points + " points\n";
+    }
+    standingsText += this.isSessionOver_() ?
+        "\nSession over! The host can start a new one" :
+        "\nThe next round starts soon, or when the host starts it";
+    var message = new PIXI.Text(
+        standingsText,
+        {fontFamily: "Arial", fontSize: 25, fill: "white"}
+    );
+    message.position.set(this.canvasWidth_ * 70 / 100, this.canvasHeight_ / 4);
+    this.container_.addChild(message);
+    this.roundMessages_.push(message);
+
+    if (!this.isSessionOver_()) {
+        this.nextRoundTime_ = Date.now() + cast.games.starcast.StarcastGame.ROUND_BREAK_SECONDS_ * 1000;
+    }
+};
+
+
+/**
+ * @return {boolean} True once the last round of the session was played.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.isSessionOver_ = function () {
+    return this.round_ >= this.roundsPerSession;
+};
+
+
+/**
+ * Shows the results once the board is over, whether it was solved, a racer
+ * won or every team ran out of moves.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.endGame_ = function () {
+    if (this.lifecycle_.canMoveTo(cast.games.starcast.Lifecycle.Phase.RESULTS)) {
+        this.lifecycle_.moveTo(cast.games.starcast.Lifecycle.Phase.RESULTS);
+    }
+};
+
+
+/**
+ * Sends the next move of an optimal solution for the current board.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onHintMessage_ = function (player) {
+    var error = this.checkCanMove_(player);
+    if (error) {
+        return error;
+    }
+
+    // racers get hints for their own board
+    var board = (this.race_ && this.race_.getBoard(player.playerId)) || this.board_;
+    var solution = cast.games.starcast.PuzzleSolver.solve(board, board.listMoves(this.moveTypes_));
+    var payload = {remainingMoves: solution.moves.length};
+    if (solution.moves.length > 0) {
+        payload[cast.games.starcast.StarcastGame.ROW_OR_COL_FIELD_] = solution.moves[0].type;
+        payload[cast.games.starcast.StarcastGame.NUM_ROW_OR_COL_FIELD_] = solution.moves[0].index;
+    }
+    this.gameManager_.sendGameMessageToPlayer(player.playerId,
+        cast.games.starcast.Protocol.newMessage(cast.games.starcast.Protocol.ReplyType.HINT, payload));
+    return null;
+};
+
+
+/**
+ * Applies validated settings, if they come from the host.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {!Object} payload
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onSettingsMessage_ = function (player, payload) {
+    var hostError = this.checkHost_(player, 'change the settings');
+    if (hostError) {
+        return hostError;
+    }
+    var undoPolicy = payload[cast.games.starcast.StarcastGame.UNDO_POLICY_FIELD_];
+    var undoPenaltyPoints = payload[cast.games.starcast.StarcastGame.UNDO_PENALTY_POINTS_FIELD_];
+    var playMode = payload[cast.games.starcast.StarcastGame.PLAY_MODE_FIELD_];
+    var turnSeconds = payload[cast.games.starcast.StarcastGame.TURN_SECONDS_FIELD_];
+    var teamCount = payload[cast.games.starcast.StarcastGame.TEAM_COUNT_FIELD_];
+    var rounds = payload[cast.games.starcast.StarcastGame.ROUNDS_FIELD_];
+    var graceSeconds = payload[cast.games.starcast.StarcastGame.GRACE_SECONDS_FIELD_];
+    var theme = payload[cast.games.starcast.StarcastGame.THEME_FIELD_];
+    var municipality = payload[cast.games.starcast.StarcastGame.MUNICIPALITY_FIELD_];
+    if (theme == cast.games.starcast.FinnaClient.Theme.MUNICIPALITY && !municipality && !this.imageMunicipality) {
+        var Validator = cast.games.starcast.MessageValidator;
+        return Validator.newError(Validator.ErrorCode.MISSING_FIELD,
+            cast.games.starcast.StarcastGame.MUNICIPALITY_FIELD_, 'The municipality theme needs a municipality');
+    }
+    if (undoPolicy !== undefined) {
+        this.undoPolicy = undoPolicy;
+    }
+    if (undoPenaltyPoints !== undefined) {
+        this.undoPenaltyPoints = undoPenaltyPoints;
+    }
+    if (playMode !== undefined && playMode != this.playMode) {
+        var PlayMode = cast.games.starcast.StarcastGame.PlayMode;
+        var raceChanged = playMode == PlayMode.RACE || this.playMode == PlayMode.RACE;
+        this.playMode = playMode;
+        this.turnOrder_.restart();
+        this.skipDroppedPlayers_();
+        // races start from a fresh scramble, and so does the shared board
+        // after one, so replay the same seed
+        if (raceChanged && this.board_ && this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.PLAYING)) {
+            this.newPuzzle_(this.seed_);
+        }
+    }
+    if (turnSeconds !== undefined) {
+        this.turnSeconds = turnSeconds;
+    }
+    if (teamCount !== undefined) {
+        this.teamCount = teamCount;
+    }
+    if (rounds !== undefined) {
+        this.roundsPerSession = rounds;
+    }
+    if (graceSeconds !== undefined) {
+        this.shutdownGraceSeconds = graceSeconds;
+    }
+    // the theme applies from the next round on
+    if (theme !== undefined || municipality !== undefined) {
+        this.imageTheme = theme === undefined ? this.imageTheme : theme;
+        this.imageMunicipality = municipality || this.imageMunicipality;
+        this.imageQuery = cast.games.starcast.FinnaClient.getThemeQuery(this.imageTheme, this.imageMunicipality);
+        // images found for the old theme are not played
+        this.upcomingImageIds_ = [];
+        this.foundImageIds_ = [];
+        if (this.prefetchSearch_) {
+            this.prefetchSearch_.abort();
+            this.prefetchSearch_ = null;
+        }
+        this.imageCache_.cancelPrefetch();
+        this.prefetchImages_();
+        this.displayLobbyMessage_();
+    }
+    if (playMode !== undefined || teamCount !== undefined) {
+        this.checkFlipsFromPlayerMessage();
+        this.displayLobbyMessage_();
+    }
+    if (playMode !== undefined || turnSeconds !== undefined) {
+        // restart the turn so a new time limit applies right away
+        this.startTurn_();
+        this.highlightActivePlayer_();
+    }
+    this.updateGameData_();
+    return null;
+};
+
+
+/**
+ * Relays a chat message to every connected sender.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {!Object} payload
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onChatMessage_ = function (player, payload) {
+    var chat = {playerId: player.playerId};
+    chat[cast.games.starcast.StarcastGame.CHAT_TEXT_FIELD_] = payload[cast.games.starcast.StarcastGame.CHAT_TEXT_FIELD_];
+    this.gameManager_.sendGameMessageToAllConnectedPlayers(
+        cast.games.starcast.Protocol.newMessage(cast.games.starcast.Protocol.ReplyType.CHAT, chat));
+    return null;
+};
+
+
+/**
+ * Answers a ping with the sender's timestamp and the receiver's own, so
+ * senders can measure round trips and clock offsets.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {!Object} payload
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onPingMessage_ = function (player, payload) {
+    var pong = {receiverTime: Date.now()};
+    pong[cast.games.starcast.StarcastGame.PING_TIME_FIELD_] =
+        payload[cast.games.starcast.StarcastGame.PING_TIME_FIELD_];
+    this.gameManager_.sendGameMessageToPlayer(player.playerId,
+        cast.games.starcast.Protocol.newMessage(cast.games.starcast.Protocol.ReplyType.PONG, pong));
+    return null;
+};
+
+
+/**
+ * @return {!cast.games.starcast.MessageValidator.Schema} Schema of messages
+ *     requesting a new board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.getNewPuzzleSchema_ = function () {
+    var schema = {};
+    schema[cast.games.starcast.StarcastGame.SEED_FIELD_] = {type: 'string', nullable: true};
+    schema[cast.games.starcast.StarcastGame.ROWS_FIELD_] = {
+        type: 'number',
+        integer: true,
+        min: cast.games.starcast.StarcastGame.MIN_GRID_SIZE_,
+        max: cast.games.starcast.StarcastGame.MAX_GRID_SIZE_
+    };
+    schema[cast.games.starcast.StarcastGame.COLS_FIELD_] = schema[cast.games.starcast.StarcastGame.ROWS_FIELD_];
+    schema[cast.games.starcast.StarcastGame.MODE_FIELD_] = {
+        type: 'string',
+        values: Object.keys(cast.games.starcast.PuzzleGenerator.MODE_MOVE_TYPES)
+    };
+    schema[cast.games.starcast.StarcastGame.DIFFICULTY_FIELD_] = {
+        type: 'string',
+        values: Object.keys(cast.games.starcast.PuzzleGenerator.DIFFICULTY_SETTINGS)
+    };
+    schema[cast.games.starcast.StarcastGame.IMAGE_ID_FIELD_] = {type: 'string', maxLength: 200};
+    return schema;
+};
+
+
+/**
+ * @return {!cast.games.starcast.MessageValidator.Schema} Schema of move
+ *     payloads. Whether the index is in range depends on the board, see
+ *     #validateMove_.
+ * @private
+ */
+cast.games.starcast.StarcastGame.getMoveSchema_ = function () {
+    var moves = [];
+    for (var type in cast.games.starcast.PuzzleBoard.MoveType) {
+        moves.push(cast.games.starcast.PuzzleBoard.MoveType[type]);
+    }
+
+    var schema = {};
+    schema[cast.games.starcast.StarcastGame.ROW_OR_COL_FIELD_] = {type: 'string', required: true, values: moves};
+    schema[cast.games.starcast.StarcastGame.NUM_ROW_OR_COL_FIELD_] = {type: 'number', integer: true, min: 0};
+    return schema;
+};
+
+
+/**
+ * @return {!cast.games.starcast.MessageValidator.Schema} Schema of settings
+ *     payloads.
+ * @private
+ */
+cast.games.starcast.StarcastGame.getSettingsSchema_ = function () {
+    var policies = [];
+    for (var policy in cast.games.starcast.StarcastGame.UndoPolicy) {
+        policies.push(cast.games.starcast.StarcastGame.UndoPolicy[policy]);
+    }
+    var playModes = [];
+    for (var playMode in cast.games.starcast.StarcastGame.PlayMode) {
+        playModes.push(cast.games.starcast.StarcastGame.PlayMode[playMode]);
+    }
+    var themes = [];
+    for (var theme in cast.games.starcast.FinnaClient.Theme) {
+        themes.push(cast.games.starcast.FinnaClient.Theme[theme]);
+    }
+
+    var schema = {};
+    schema[cast.games.starcast.StarcastGame.UNDO_POLICY_FIELD_] = {type: 'string', values: policies};
+    schema[cast.games.starcast.StarcastGame.UNDO_PENALTY_POINTS_FIELD_] = {type: 'number', integer: true, min: 0};
+    schema[cast.games.starcast.StarcastGame.PLAY_MODE_FIELD_] = {type: 'string', values: playModes};
+    schema[cast.games.starcast.StarcastGame.TURN_SECONDS_FIELD_] = {
+        type: 'number',
+        integer: true,
+        min: 0,
+        max: cast.games.starcast.StarcastGame.MAX_TURN_SECONDS_
+    };
+    schema[cast.games.starcast.StarcastGame.TEAM_COUNT_FIELD_] = {type: 'number', integer: true, min: 1, max: 4};
+    schema[cast.games.starcast.StarcastGame.ROUNDS_FIELD_] = {
+        type: 'number',
+        integer: true,
+        min: 1,
+        max: cast.games.starcast.StarcastGame.MAX_ROUNDS_
+    };
+    schema[cast.games.starcast.StarcastGame.GRACE_SECONDS_FIELD_] = {
+        type: 'number',
+        integer: true,
+        min: 0,
+        max: cast.games.starcast.StarcastGame.MAX_GRACE_SECONDS_
+    };
+    schema[cast.games.starcast.StarcastGame.THEME_FIELD_] = {type: 'string', values: themes};
+    schema[cast.games.starcast.StarcastGame.MUNICIPALITY_FIELD_] = {
+        type: 'string',
+        maxLength: cast.games.starcast.StarcastGame.MAX_MUNICIPALITY_LENGTH_
+    };
+    return schema;
+};
+
+
+/**
+ * @return {!cast.games.starcast.MessageValidator.Schema} Schema of the extra
+ *     message data of PLAYER_AVAILABLE requests, besides the version.
+ * @private
+ */
+cast.games.starcast.StarcastGame.getPlayerAvailableSchema_ = function () {
+    var schema = {};
+    schema[cast.games.starcast.StarcastGame.PLAYER_NAME_FIELD_] = {
+        type: 'string',
+        maxLength: cast.games.starcast.StarcastGame.MAX_PLAYER_NAME_LENGTH_
+    };
+    return schema;
+};
+
+
+/**
+ * @return {!cast.games.starcast.MessageValidator.Schema} Schema of chat
+ *     payloads.
+ * @private
+ */
+cast.games.starcast.StarcastGame.getChatSchema_ = function () {
+    var schema = {};
+    schema[cast.games.starcast.StarcastGame.CHAT_TEXT_FIELD_] = {
+        type: 'string',
+        required: true,
+        maxLength: cast.games.starcast.StarcastGame.MAX_CHAT_LENGTH_
+    };
+    return schema;
+};
+
+
+/**
+ * @return {!cast.games.starcast.MessageValidator.Schema} Schema of ping
+ *     payloads.
+ * @private
+ */
+cast.games.starcast.StarcastGame.getPingSchema_ = function () {
+    var schema = {};
+    schema[cast.games.starcast.StarcastGame.PING_TIME_FIELD_] = {type: 'number'};
+    return schema;
+};
+
+
+/**
+ * Handles a validated request for a new board from the host. Missing fields
+ * keep the current seed policy, grid size, game mode and difficulty. Outside
+ * of play the request is kept for the board the next game starts with.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {!Object} data The message with optional seed, rows, cols, mode,
+ *     difficulty and imageId fields.
+ * @return {?cast.games.starcast.MessageValidator.Error} Why the board could
+ *     not be replaced, or null.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onNewPuzzleMessage_ = function (player, data) {
+    var hostError = this.checkHost_(player, 'replace the board');
+    if (hostError) {
+        return hostError;
+    }
+    var playing = this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.PLAYING);
+    if (playing && !this.board_) {
+        return cast.games.starcast.MessageValidator.newError(
+            cast.games.starcast.MessageValidator.ErrorCode.NOT_READY, null,
+            'The puzzle image is still loading');
+    }
+
+    var rows = data[cast.games.starcast.StarcastGame.ROWS_FIELD_];
+    var cols = data[cast.games.starcast.StarcastGame.COLS_FIELD_];
+    var seed = data[cast.games.starcast.StarcastGame.SEED_FIELD_];
+    var mode = data[cast.games.starcast.StarcastGame.MODE_FIELD_];
+    var difficulty = data[cast.games.starcast.StarcastGame.DIFFICULTY_FIELD_];
+    var imageId = data[cast.games.starcast.StarcastGame.IMAGE_ID_FIELD_];
+
+    this.totalPuzzleRows = rows === undefined ? this.totalPuzzleRows : rows;
+    this.totalPuzzleColumns = cols === undefined ? this.totalPuzzleColumns : cols;
+    this.mode_ = mode === undefined ? this.mode_ : mode;
+    this.difficulty_ = difficulty === undefined ? this.difficulty_ : difficulty;
+    if (!playing) {
+        // keep the settings for the board the next game starts with
+        this.nextSeed_ = seed === undefined ? null : seed;
+        this.nextImageId_ = imageId === undefined ? this.nextImageId_ : imageId;
+        this.displayLobbyMessage_();
+        this.updateGameData_();
+        return null;
+    }
+    if (imageId !== undefined) {
+        // the new board is built once the image is loaded
+        this.loadImage_(imageId);
+    }
+    this.newPuzzle_(seed === undefined ? null : seed);
+    return null;
+};
+
+
+/**
+ * Handles incoming player messages.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {string} rowOrCol A move type.
+ * @param {number|undefined} numRowOrCol Index of the move, ignored by the
+ *     diagonals.
+ * @return {?cast.games.starcast.MessageValidator.Error} Why the move was
+ *     rejected, or null if it was made.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onPlayerMessage_ = function (player, rowOrCol, numRowOrCol) {
+    var error = this.checkCanMove_(player) || this.checkTurn_(player) || this.checkBudget_(player, true) ||
+        this.validateMove_(rowOrCol, numRowOrCol);
+    if (error) {
+        return error;
+    }
+    if (this.race_) {
+        return this.onRaceMove_(player.playerId, rowOrCol, numRowOrCol || 0);
+    }
+    this.flipPieces(this.playerMap_[player.playerId], rowOrCol, numRowOrCol || 0, player.playerId);
+    return null;
+};
+
+
+/**
+ * Makes a move on the board of a racer, and ends the race if it solves it.
+ * @param {string} playerId
+ * @param {string} rowOrCol
+ * @param {number} numRowOrCol
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onRaceMove_ = function (playerId, rowOrCol, numRowOrCol) {
+    var Validator = cast.games.starcast.MessageValidator;
+    if (this.race_.isFinished()) {
+        return Validator.newError(Validator.ErrorCode.GAME_OVER, null,
+            this.race_.getWinner() ? 'The race is over, player ' + this.race_.getWinner() + ' won' :
+                'The race is over, every racer left');
+    }
+    if (!this.race_.getBoard(playerId)) {
+        return Validator.newError(Validator.ErrorCode.UNKNOWN_PLAYER, null,
+            'Player ' + playerId + ' is not racing');
+    }
+
+    // the racer's board tells onRaceBoardChanged_ which pieces to animate
+    this.race_.applyMove(playerId, rowOrCol, numRowOrCol);
+    if (this.race_.isFinished()) {
+        this.displayRaceResults_();
+        this.displayRecordCard_();
+        this.endGame_();
+    }
+    this.updateGameData_();
+    return null;
+};
+
+
+/**
+ * Checks that moves can be undone and redone. Racers cannot take moves back.
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.checkCanUndo_ = function () {
+    if (!this.race_) {
+        return null;
+    }
+    return cast.games.starcast.MessageValidator.newError(
+        cast.games.starcast.MessageValidator.ErrorCode.MOVE_NOT_ALLOWED, null,
+        'Moves cannot be taken back in a race');
+};
+
+
+/**
+ * Starts a race on copies of the current board for every player, hiding the
+ * shared board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.startRace_ = function () {
+    this.race_ = new cast.games.starcast.Race(this.board_, this.moveTypes_);
+    for (var playerId in this.playerMap_) {
+        this.addRacer_(playerId);
+    }
+
+    for (var row = 0; row < this.pieces_.length; row++) {
+        for (var col = 0; col < this.pieces_[row].length; col++) {
+            this.pieces_[row][col].visible = false;
+        }
+    }
+    // the buttons line up with the shared board only
+    for (var i = 0; i < this.controlButtons_.length; i++) {
+        this.controlButtons_[i].visible = false;
+    }
+
+    this.layoutRaceBoards_();
+};
+
+
+/**
+ * Adds a player to the race and animates their board.
+ * @param {string} playerId
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.addRacer_ = function (playerId) {
+    if (this.race_.getBoard(playerId)) {
+        return;
+    }
+    this.race_.addPlayer(playerId).addListener(this.onRaceBoardChanged_.bind(this, playerId));
+};
+
+
+/**
+ * Tiles the boards of the racers over the area of the shared board, each
+ * with a name tag in the colour of the player's ship.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.layoutRaceBoards_ = function () {
+    this.clearRaceBoards_();
+
+    var playerIds = this.race_.getPlayerIds();
+    var tileColumns = Math.max(1, Math.ceil(Math.sqrt(playerIds.length)));
+    var tileRows = Math.max(1, Math.ceil(playerIds.length / tileColumns));
+    var scale = 1 / Math.max(tileColumns, tileRows);
+    // leave room between the tiles for the name tags
+    var tileWidth = this.puzzleWidth_ * scale * 1.2;
+    var tileHeight = this.puzzleHeight_ * scale * 1.2;
+
+    var totalRow = this.board_.getRows();
+    var totalCol = this.board_.getCols();
+    var pieceWidth = Math.floor(this.apiImage_.width / totalCol),
+        pieceHeight = Math.floor(this.apiImage_.height / totalRow);
+
+    for (var i = 0; i < playerIds.length; i++) {
+        var board = this.race_.getBoard(playerIds[i]);
+        var tileCenter = {
+            x: this.puzzleCenter_.x + (i % tileColumns - (tileColumns - 1) / 2) * tileWidth,
+            y: this.puzzleCenter_.y + (Math.floor(i / tileColumns) - (tileRows - 1) / 2) * tileHeight
+        };
+
+        var pieces = [];
+        for (var row = 0; row < totalRow; row++) {
+            pieces.push([]);
+            for (var col = 0; col < totalCol; col++) {
+                pieces[row].push(this.createSpriteFromSpriteSheet(pieceWidth, pieceHeight, row, col,
+                    totalRow, totalCol, tileCenter, this.container_, board, scale));
+            }
+        }
+
+        var playerSprite = this.playerMap_[playerIds[i]];
+        var label = new PIXI.Text(
+            this.getPlayerLabel_(playerIds[i]),
+            {fontFamily: "Arial", fontSize: 20, fill: playerSprite ? Math.floor(playerSprite.tint) : 0xffffff}
+        );
+        label.position.set(pieces[0][0].x, pieces[0][0].y - label.height - 4);
+        this.container_.addChild(label);
+
+        this.raceBoards_[playerIds[i]] = {pieces: pieces, label: label};
+    }
+};
+
+
+/**
+ * Removes the boards of the racers from the stage.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.clearRaceBoards_ = function () {
+    for (var playerId in this.raceBoards_) {
+        destroyPieces(this.raceBoards_[playerId].pieces);
+        this.raceBoards_[playerId].label.destroy();
+    }
+    this.raceBoards_ = {};
+};
+
+
+/**
+ * Animates the pieces of cells flipped on the board of a racer.
+ * @param {string} playerId
+ * @param {!Array.<!cast.games.starcast.PuzzleBoard.Cell>} cells
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onRaceBoardChanged_ = function (playerId, cells) {
+    var raceBoard = this.raceBoards_[playerId];
+    var board = this.race_.getBoard(playerId);
+    if (!raceBoard || !board) {
+        return;
+    }
+    for (var i = 0; i < cells.length; i++) {
+        var cell = cells[i];
+        flipPieceTween(raceBoard.pieces[cell.row][cell.col], board.isFlipped(cell.row, cell.col));
+    }
+};
+
+
+/**
+ * Checks that a player is in the game, the game is being played and there is
+ * a board to play on.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.checkCanMove_ = function (player) {
+    var Validator = cast.games.starcast.MessageValidator;
+    if (!this.playerMap_[player.playerId]) {
+        return Validator.newError(Validator.ErrorCode.UNKNOWN_PLAYER, null,
+            'No player sprite found for player ' + player.playerId);
+    }
+    if (this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.RESULTS)) {
+        return Validator.newError(Validator.ErrorCode.GAME_OVER, null,
+            'The game is over, the host can start the next one');
+    }
+    if (!this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.PLAYING)) {
+        return Validator.newError(Validator.ErrorCode.WRONG_PHASE, null,
+            'Moves can only be made while playing, not in the ' + this.lifecycle_.getPhase() + ' phase');
+    }
+    if (!this.board_) {
+        return Validator.newError(Validator.ErrorCode.NOT_READY, null,
+            'The puzzle image is still loading');
+    }
+    return null;
+};
+
+
+/**
+ * Checks that it is a player's turn when players take turns.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.checkTurn_ = function (player) {
+    if (this.playMode != cast.games.starcast.StarcastGame.PlayMode.TURN_BASED ||
+        this.turnOrder_.isTurnOf(player.playerId)) {
+        return null;
+    }
+    return cast.games.starcast.MessageValidator.newError(
+        cast.games.starcast.MessageValidator.ErrorCode.NOT_YOUR_TURN, null,
+        'It is the turn of player ' + this.turnOrder_.getCurrent());
+};
+
+
+/**
+ * Checks that a co-op round is still on, and that a player's team has moves
+ * left if what they do counts as a move.
+ * @param {!cast.receiver.games.PlayerInfo} player
+ * @param {boolean} countsAsMove
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.checkBudget_ = function (player, countsAsMove) {
+    var Validator = cast.games.starcast.MessageValidator;
+    if (this.playMode != cast.games.starcast.StarcastGame.PlayMode.COOP) {
+        return null;
+    }
+    if (this.lost_) {
+        return Validator.newError(Validator.ErrorCode.GAME_OVER, null,
+            'Every team ran out of moves');
     }
+    var team = this.getTeams_()[this.getTeam_(player.playerId)];
+    if (countsAsMove && team.remaining <= 0) {
+        return Validator.newError(Validator.ErrorCode.OUT_OF_MOVES, null,
+            'Team ' + (team.team + 1) + ' has no moves left');
+    }
+    return null;
+};
 
-    var player =
-        this.gameManager_.getPlayer(event.playerInfo.playerId);
-    if (!player) {
-        throw Error('No player found for player ID ' + event.playerInfo.playerId);
+
+/**
+ * @param {string} playerId
+ * @return {number} Index of the player's co-op team.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getTeam_ = function (playerId) {
+    return this.playerSlots_[playerId] % this.teamCount;
+};
+
+
+/**
+ * Every team gets the moves of the optimal solution plus the extra flips
+ * the points are counted from.
+ * @return {number} Moves each co-op team may make on this board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getTeamBudget_ = function () {
+    return this.suggestedFlipCount_ + this.extraFlipsThanNecessary_;
+};
+
+
+/**
+ * @return {!Array.<{team: number, playerIds: !Array.<string>, budget: number,
+ *     remaining: number}>} Players and moves left of every co-op team. The
+ *     moves players made count for their team even after they left.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getTeams_ = function () {
+    var teams = [];
+    for (var i = 0; i < this.teamCount; i++) {
+        teams.push({team: i, playerIds: [], budget: this.getTeamBudget_(), remaining: this.getTeamBudget_()});
+    }
+    for (var playerId in this.playerSlots_) {
+        var team = teams[this.getTeam_(playerId)];
+        if (this.playerMap_[playerId]) {
+            team.playerIds.push(playerId);
+        }
+        team.remaining -= this.scoreboard_.getScore(playerId).moveCount;
+    }
+    for (i = 0; i < teams.length; i++) {
+        teams[i].remaining = Math.max(0, teams[i].remaining);
+    }
+    return teams;
+};
+
+
+/**
+ * Ends a co-op round as lost when no team with players has moves left.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.checkBudgetsLeft_ = function () {
+    if (this.playMode != cast.games.starcast.StarcastGame.PlayMode.COOP || this.lost_ ||
+        this.board_.isSolved()) {
+        return;
+    }
+    var teams = this.getTeams_();
+    for (var i = 0; i < teams.length; i++) {
+        if (teams[i].playerIds.length > 0 && teams[i].remaining > 0) {
+            return;
+        }
     }
+    this.lost_ = true;
+    this.displaySolutionMessage_();
+    this.endGame_();
+};
 
-    var rowOrCol = event.requestExtraMessageData[cast.games.starcast.StarcastGame.ROW_OR_COL_FIELD_];
-    var numRowOrCol = event.requestExtraMessageData[cast.games.starcast.StarcastGame.NUM_ROW_OR_COL_FIELD_];
-    this.onPlayerMessage_(player, rowOrCol, numRowOrCol);
 
+/**
+ * @return {!Array.<{type: string, index: number}>} Optimal moves that solve
+ *     the current board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getSolution_ = function () {
+    return cast.games.starcast.PuzzleSolver.solve(this.board_, this.board_.listMoves(this.moveTypes_)).moves;
 };
 
 
 /**
- * Handles incoming player messages.
- * @param {!cast.receiver.games.PlayerInfo} player
- * @param {boolean} fire If true, fires a bullet and ignores move parameter.
- *     Otherwise, bullet is not fired, and move parameter will be used.
- * @param {number} move Only used if fire parameter is true.
+ * Starts the turn of the current player, timing it if turns are timed and
+ * the board is still being played.
  * @private
  */
-cast.games.starcast.StarcastGame.prototype.onPlayerMessage_ = function (player, rowOrCol, numRowOrCol) {
+cast.games.starcast.StarcastGame.prototype.startTurn_ = function () {
+    var timed = this.playMode == cast.games.starcast.StarcastGame.PlayMode.TURN_BASED &&
+        this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.PLAYING) &&
+        this.turnSeconds > 0 && this.turnOrder_.getCurrent() != null &&
+        !(this.board_ && this.board_.isSolved());
+    this.turnEndTime_ = timed ? Date.now() + this.turnSeconds * 1000 : 0;
+};
+
+
+/**
+ * Hands the turn to the next connected player.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.passTurn_ = function () {
+    this.turnOrder_.advance();
+    this.skipDroppedPlayers_();
+    this.startTurn_();
+    this.highlightActivePlayer_();
+};
+
+
+/**
+ * Hands the turn on from players who dropped until it reaches a connected
+ * one, unless everyone dropped.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.skipDroppedPlayers_ = function () {
+    var skips = this.turnOrder_.getPlayerIds().length - 1;
+    while (skips-- > 0 && this.isDropped_(this.turnOrder_.getCurrent())) {
+        this.turnOrder_.advance();
+    }
+};
+
 
-    player.tint = Math.random() * 0xffffff;
-    console.log("onPlayerMessage" + rowOrCol + ", " + numRowOrCol);
+/**
+ * Enlarges the ship of the player whose turn it is and dims the others. Every
+ * connected player's ship is shown normally when players do not take turns.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.highlightActivePlayer_ = function () {
+    var turnBased = this.playMode == cast.games.starcast.StarcastGame.PlayMode.TURN_BASED;
+    for (var playerId in this.playerMap_) {
+        var active = turnBased && this.turnOrder_.isTurnOf(playerId);
+        var playerSprite = this.playerMap_[playerId];
+        playerSprite.scale.x = playerSprite.scale.y = active ? 1.5 : 1;
+        // dropped players are shown faintly until they reconnect
+        playerSprite.alpha = this.isDropped_(playerId) ? 0.2 : !turnBased || active ? 1 : 0.4;
+    }
+};
+
+
+/**
+ * Checks a move against the current board and the move types in play.
+ * @param {string} rowOrCol A move type.
+ * @param {number|undefined} numRowOrCol
+ * @return {?cast.games.starcast.MessageValidator.Error}
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.validateMove_ = function (rowOrCol, numRowOrCol) {
+    var Validator = cast.games.starcast.MessageValidator;
+    var indexField = cast.games.starcast.StarcastGame.NUM_ROW_OR_COL_FIELD_;
+
+    if (this.moveTypes_.indexOf(rowOrCol) == -1) {
+        return Validator.newError(Validator.ErrorCode.MOVE_NOT_ALLOWED,
+            cast.games.starcast.StarcastGame.ROW_OR_COL_FIELD_,
+            rowOrCol + ' moves are not allowed on ' + this.difficulty_ + ' ' + this.mode_ + ' boards');
+    }
+    if (!this.board_.isIndexedMove(rowOrCol)) {
+        return null;
+    }
+    if (numRowOrCol === undefined) {
+        return Validator.newError(Validator.ErrorCode.MISSING_FIELD, indexField,
+            rowOrCol + ' moves need ' + indexField);
+    }
+    var count = this.board_.getIndexCount(rowOrCol);
+    if (numRowOrCol >= count) {
+        return Validator.newError(Validator.ErrorCode.OUT_OF_RANGE, indexField,
+            'Expected ' + indexField + ' between 0 and ' + (count - 1) + ' for ' + rowOrCol +
+            ' moves but received ' + numRowOrCol);
+    }
+    return null;
+};
 
-    var playerSprite = this.playerMap_[player.playerId];
-    if (!playerSprite) {
-        throw Error('No player sprite found for player ' + player.playerId);
+cast.games.starcast.StarcastGame.prototype.flipPieces = function (playerSprite, rowOrCol, numRowOrCol,
+                                                                  opt_playerId) {
+    if (this.moveTypes_.indexOf(rowOrCol) == -1) {
+        throw Error(rowOrCol + ' moves are not allowed on ' + this.difficulty_ + ' ' + this.mode_ + ' boards');
+    }
+    if (!this.board_.isValidMove(rowOrCol, numRowOrCol)) {
+        throw Error('Invalid move ' + rowOrCol + ' ' + numRowOrCol + ' on a ' +
+            this.board_.getRows() + 'x' + this.board_.getCols() + ' board');
     }
+    // the board tells onBoardChanged_ which pieces to animate
+    var progress = this.applyBoardMove_(rowOrCol, numRowOrCol);
+    this.history_.push({type: rowOrCol, index: numRowOrCol, playerId: opt_playerId || null});
+    if (opt_playerId) {
+        this.scoreboard_.add(opt_playerId, 1, progress * cast.games.starcast.StarcastGame.PROGRESS_POINTS_);
+    }
+
+    // call here once because it is called once in any case
+    this.playerEachFlipCount_++;
 
-    this.flipPieces(playerSprite, rowOrCol, numRowOrCol);
+    this.onMoveApplied_();
 };
 
-cast.games.starcast.StarcastGame.prototype.flipPieces = function (playerSprite, rowOrCol, numRowOrCol) {
-    if (rowOrCol == "ROW") {
-        for (var i = 0; i < this.pieces_.length; i++) {
-            flipPieceTween(this.pieces_[numRowOrCol][i]);
+
+/**
+ * Takes back the last move by flipping its pieces again, and scores it
+ * according to the undo policy. An undo counting as a move is scored for the
+ * player undoing, otherwise the move is taken off the score of the player
+ * who made it. Penalties always go to the player undoing.
+ * @param {?string=} opt_playerId The player undoing the move.
+ * @return {boolean} False if there was no move to undo.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.undoMove_ = function (opt_playerId) {
+    var entry = this.history_.undo();
+    if (!entry) {
+        return false;
+    }
+    var progress = this.applyBoardMove_(entry.type, entry.index);
+    var points = progress * cast.games.starcast.StarcastGame.PROGRESS_POINTS_;
+
+    if (this.undoPolicy == cast.games.starcast.StarcastGame.UndoPolicy.COUNTS_AS_MOVE) {
+        this.playerEachFlipCount_++;
+        if (opt_playerId) {
+            this.scoreboard_.add(opt_playerId, 1, points);
         }
-    } else if (rowOrCol == "COL") {
-        for (i = 0; i < this.pieces_.length; i++) {
-            flipPieceTween(this.pieces_[i][numRowOrCol]);
+    } else {
+        this.playerEachFlipCount_--;
+        if (entry.playerId) {
+            this.scoreboard_.add(entry.playerId, -1, points);
         }
-    } else if (rowOrCol == "DIAGONAL") {
-        for (i = 0; i < this.pieces_.length; i++) {
-            flipPieceTween(this.pieces_[this.pieces_.length - i - 1][i]);
+    }
+    if (this.undoPolicy == cast.games.starcast.StarcastGame.UndoPolicy.PENALTY) {
+        this.penaltyPoints_ += this.undoPenaltyPoints;
+        if (opt_playerId) {
+            this.scoreboard_.add(opt_playerId, 0, -this.undoPenaltyPoints);
         }
-    } else {
-        throw Error('Only Row, COL, DIAGONAL are allowed but received ' + rowOrCol);
     }
 
-    // call here once because it is called once in any case
+    this.onMoveApplied_();
+    return true;
+};
+
+
+/**
+ * Makes the last undone move again. Counts as a flip of the player redoing it
+ * under every undo policy.
+ * @param {?string=} opt_playerId The player redoing the move.
+ * @return {boolean} False if there was no undone move to redo.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.redoMove_ = function (opt_playerId) {
+    var entry = this.history_.redo();
+    if (!entry) {
+        return false;
+    }
+    var progress = this.applyBoardMove_(entry.type, entry.index);
     this.playerEachFlipCount_++;
+    if (opt_playerId) {
+        this.scoreboard_.add(opt_playerId, 1, progress * cast.games.starcast.StarcastGame.PROGRESS_POINTS_);
+    }
+
+    this.onMoveApplied_();
+    return true;
+};
 
+
+/**
+ * Updates the heads up display and senders after the board changed, and
+ * shows the results if the puzzle is solved.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onMoveApplied_ = function () {
     this.checkFlipsFromPlayerMessage();
     if (this.checkPuzzleIsSolved()) {
         this.displayCongratMessage();
+        this.displayRecordCard_();
         this.scoreSystem()
         //Display the actual number of flips from a player on the screen
         this.backgroundSprite_.visible = false;
+        this.endGame_();
     }
+    if (this.playMode == cast.games.starcast.StarcastGame.PlayMode.TURN_BASED) {
+        this.passTurn_();
+    }
+    this.checkBudgetsLeft_();
+    this.updateGameData_();
+};
+
+
+/**
+ * Makes a move on the board and updates the fewest moves that still solve
+ * it, solving the board once per move.
+ * @param {string} type
+ * @param {number} index
+ * @return {number} How many moves closer to solved the move got the board,
+ *     negative if it set it back.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.applyBoardMove_ = function (type, index) {
+    var remainingMoves = this.remainingMoves_;
+    this.board_.applyMove(type, index);
+    this.remainingMoves_ = this.getSolution_().length;
+    return remainingMoves - this.remainingMoves_;
 };
 
 
@@ -602,12 +3173,25 @@ cast.games.starcast.StarcastGame.prototype.scoreSystem = function () {
     } else if (this.playerEachFlipCount_ > this.suggestedFlipCount_) {
         this.displayCountflipsFromPlayerMessage();
     }
+    this.displayRankingMessage_();
 };
 
 cast.games.starcast.StarcastGame.prototype.checkFlipsFromPlayerMessage = function () {
-    var hudText_ = "The Player each flips : " + this.playerEachFlipCount_ + " times\n" +
+    var hudText_ = "Round " + this.round_ + " of " + this.roundsPerSession + "    " +
+        "Mode : " + this.mode_ + "    Difficulty : " + this.difficulty_ + "\n" +
+        "The Player each flips : " + this.playerEachFlipCount_ + " times\n" +
         "The Player final points from givenPoints : " +
-        ( 10 * (this.suggestedFlipCount_ + this.extraFlipsThanNecessary_ - this.playerEachFlipCount_)) + " points\n";
+        ( 10 * (this.suggestedFlipCount_ + this.extraFlipsThanNecessary_ - this.playerEachFlipCount_) -
+        this.penaltyPoints_) + " points\n" +
+        this.scoreboard_.getRanking().map(function (score) {
+            return this.getPlayerLabel_(score.playerId) + " : " + score.moveCount + " flips, " +
+                score.points + " points";
+        }, this).join("    ");
+    if (this.playMode == cast.games.starcast.StarcastGame.PlayMode.COOP && this.board_) {
+        hudText_ += "\n" + this.getTeams_().map(function (team) {
+            return "Team " + (team.team + 1) + " : " + team.remaining + " of " + team.budget + " moves left";
+        }).join("    ");
+    }
     // heads up display messages
     if (this.hud_ == null) {
         this.hud_ = new PIXI.Text(
@@ -624,21 +3208,54 @@ cast.games.starcast.StarcastGame.prototype.checkFlipsFromPlayerMessage = functio
 cast.games.starcast.StarcastGame.prototype.displayCountflipsFromPlayerMessage = function () {
     var message = new PIXI.Text(
         "The Player each flips : " + this.playerEachFlipCount_ + " times\n" +
-        "The Player final points from givenPoints : " + ( 10 * (this.suggestedFlipCount_ - this.playerEachFlipCount_)) + " points\n",
+        "The Player final points from givenPoints : " +
+        ( 10 * (this.suggestedFlipCount_ - this.playerEachFlipCount_) - this.penaltyPoints_) + " points\n",
         {fontFamily: "Arial", fontSize: 20, fill: "yellow"}
     );
     message.position.set(this.canvasWidth_ / 4, this.canvasHeight_ / 25);
     this.container_.addChild(message);
+    this.roundMessages_.push(message);
+};
+
+/**
+ * Ranks the players who moved on the solved board by the points they earned.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayRankingMessage_ = function () {
+    var ranking = this.scoreboard_.getRanking();
+    if (ranking.length == 0) {
+        return;
+    }
+    var rankingText = "Contributors\n";
+    for (var i = 0; i < ranking.length; i++) {
+        rankingText += ranking[i].place + ". " + this.getPlayerLabel_(ranking[i].playerId) + " : " +
+            ranking[i].points + " points, " + ranking[i].moveCount + " flips\n";
+    }
+    var message = new PIXI.Text(
+        rankingText,
+        {fontFamily: "Arial", fontSize: 25, fill: "yellow"}
+    );
+    message.position.set(this.canvasWidth_ / 4, this.canvasHeight_ * 65 / 100);
+    this.container_.addChild(message);
+    this.roundMessages_.push(message);
 };
 
 cast.games.starcast.StarcastGame.prototype.checkPuzzleIsSolved = function () {
-    for (var i = 0; i < this.pieces_.length; i++) {
-        for (var j = 0; j < this.pieces_.length; j++) {
-            if (this.pieces_[i][j].flipped)
-                return false;
-        }
+    return this.board_.isSolved();
+};
+
+
+/**
+ * Animates the pieces of cells flipped on the board.
+ * @param {!Array.<!cast.games.starcast.PuzzleBoard.Cell>} cells
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.onBoardChanged_ = function (cells) {
+    for (var i = 0; i < cells.length; i++) {
+        var cell = cells[i];
+        flipPieceTween(this.pieces_[cell.row][cell.col],
+            this.board_.isFlipped(cell.row, cell.col));
     }
-    return true;
 };
 
 /*
@@ -648,13 +3265,288 @@ cast.games.starcast.StarcastGame.prototype.checkPuzzleIsSolved = function () {
  */
 
 cast.games.starcast.StarcastGame.prototype.displayFlipSuggestionMessage = function () {
+    var hintText = "If you can find the solution with a less flip, there will be more points\n" +
+        "Hint! Try to flip as few as these flips :D :" + this.suggestedFlipCount_;
+    if (this.hintMessage_ == null) {
+        this.hintMessage_ = new PIXI.Text(
+            hintText,
+            {fontFamily: "Arial", fontSize: 25, fill: "yellow"}
+        );
+    } else {
+        this.hintMessage_.text = hintText;
+    }
+    this.hintMessage_.position.set(this.canvasWidth_ / 4, this.canvasHeight_ * 85 / 100);
+    this.container_.addChild(this.hintMessage_);
+};
+
+/**
+ * @param {string} playerId
+ * @return {string} How the player is called on screen, their name or else
+ *     after the slot of their ship.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.getPlayerLabel_ = function (playerId) {
+    if (this.playerNames_[playerId]) {
+        return this.playerNames_[playerId];
+    }
+    var slot = this.players_.indexOf(this.playerMap_[playerId]);
+    return slot == -1 ? "A player who left" : "Player " + (slot + 1);
+};
+
+
+/**
+ * Shows whose turn it is above the puzzle, and how many seconds they have
+ * left if turns are timed. Hidden when players do not take turns.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayTurnMessage_ = function () {
+    var currentPlayerId = this.turnOrder_.getCurrent();
+    var visible = this.playMode == cast.games.starcast.StarcastGame.PlayMode.TURN_BASED &&
+        this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.PLAYING) && currentPlayerId != null;
+    if (this.turnMessage_ == null) {
+        if (!visible) {
+            return;
+        }
+        this.turnMessage_ = new PIXI.Text("", {fontFamily: "Arial", fontSize: 25, fill: "white"});
+        this.turnMessage_.position.set(this.canvasWidth_ / 4, this.canvasHeight_ * 15 / 100);
+        this.container_.addChild(this.turnMessage_);
+    }
+    this.turnMessage_.visible = visible;
+    if (!visible) {
+        return;
+    }
+
+    var turnText = "Turn : " + this.getPlayerLabel_(currentPlayerId);
+    if (this.turnEndTime_) {
+        turnText += "    " + Math.max(0, Math.ceil((this.turnEndTime_ - Date.now()) / 1000)) + " s";
+    }
+    // changing the text redraws it, so only do it when it changes
+    if (this.turnMessage_.text != turnText) {
+        this.turnMessage_.text = turnText;
+    }
+};
+
+/**
+ * Announces the winner of the race, if any, and lists where everyone
+ * finished.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayRaceResults_ = function () {
+    var winnerId = this.race_.getWinner();
     var message = new PIXI.Text(
-        "If you can find the solution with a less flip, there will be more points\n" +
-        "Hint! Try to flip as few as these flips :D :" + this.suggestedFlipCount_,
+        winnerId ? this.getPlayerLabel_(winnerId) + " wins!" : "No one finished!",
+        {fontFamily: "Arial", fontSize: 100, fill: "white"}
+    );
+    message.position.set(this.canvasWidth_ / 4, this.canvasHeight_ / 2);
+    this.container_.addChild(message);
+    this.roundMessages_.push(message);
+
+    var placements = this.race_.getPlacements();
+    var placementText = "";
+    for (var i = 0; i < placements.length; i++) {
+        var placement = placements[i];
+        placementText += placement.place + ". " + this.getPlayerLabel_(placement.playerId) + " : " +
+            placement.moveCount + " flips" +
+            (placement.solved ? "\n" : ", " + placement.remainingMoves + " to go\n");
+    }
+    var placementMessage = new PIXI.Text(
+        placementText,
         {fontFamily: "Arial", fontSize: 25, fill: "yellow"}
     );
-    message.position.set(this.canvasWidth_ / 4, this.canvasHeight_ * 85 / 100);
+    placementMessage.position.set(this.canvasWidth_ / 4, this.canvasHeight_ / 2 + message.height);
+    this.container_.addChild(placementMessage);
+    this.roundMessages_.push(placementMessage);
+
+    this.backgroundSprite_.visible = false;
+};
+
+/**
+ * Tells players they ran out of moves, shows the whole image and lists the
+ * moves that would have solved the board.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displaySolutionMessage_ = function () {
+    var message = new PIXI.Text(
+        "Out of moves!",
+        {fontFamily: "Arial", fontSize: 100, fill: "white"}
+    );
+    message.position.set(this.canvasWidth_ / 4, this.canvasHeight_ / 2);
     this.container_.addChild(message);
+    this.roundMessages_.push(message);
+
+    var board = this.board_;
+    var solutionText = "Solution : " + this.getSolution_().map(function (move) {
+        return board.isIndexedMove(move.type) ? move.type + " " + move.index : move.type;
+    }).join(", ");
+    var solutionMessage = new PIXI.Text(
+        solutionText,
+        {fontFamily: "Arial", fontSize: 25, fill: "yellow", wordWrap: true, wordWrapWidth: this.canvasWidth_ / 2}
+    );
+    solutionMessage.position.set(this.canvasWidth_ / 4, this.canvasHeight_ / 2 + message.height);
+    this.container_.addChild(solutionMessage);
+    this.roundMessages_.push(solutionMessage);
+
+    // turn every piece face up without touching the board
+    for (var row = 0; row < this.pieces_.length; row++) {
+        for (var col = 0; col < this.pieces_[row].length; col++) {
+            flipPieceTween(this.pieces_[row][col], false);
+        }
+    }
+};
+
+/**
+ * Lists the players waiting in the lobby and the settings of the first
+ * board. Only shown in the lobby.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayLobbyMessage_ = function () {
+    var visible = this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.LOBBY);
+    if (this.lobbyMessage_ == null) {
+        if (!visible) {
+            return;
+        }
+        this.lobbyMessage_ = new PIXI.Text("", {fontFamily: "Arial", fontSize: 30, fill: "white"});
+        this.lobbyMessage_.position.set(this.canvasWidth_ / 4, this.canvasHeight_ / 4);
+        this.container_.addChild(this.lobbyMessage_);
+    }
+    this.lobbyMessage_.visible = visible;
+    if (!visible) {
+        return;
+    }
+
+    var hostId = this.getHostId_();
+    var lobbyText = "Waiting for players\n" +
+        "Mode : " + this.mode_ + "    Difficulty : " + this.difficulty_ + "    Play : " + this.playMode + "\n" +
+        "Images : " + (this.imageTheme == cast.games.starcast.FinnaClient.Theme.MUNICIPALITY ?
+            this.imageMunicipality : this.imageTheme) + "\n\n";
+    var playerIds = this.turnOrder_.getPlayerIds();
+    for (var i = 0; i < playerIds.length; i++) {
+        lobbyText += this.getPlayerLabel_(playerIds[i]) + (playerIds[i] == hostId ? " (host)" : "") +
+            (this.isDropped_(playerIds[i]) ? " (reconnecting)" : "") + "\n";
+    }
+    lobbyText += "\n" + (hostId ? "The host starts the game" : "Join from your phone to play");
+    this.lobbyMessage_.text = lobbyText;
+};
+
+
+/**
+ * Lists the senders waiting for a ship in the bottom left corner, in every
+ * phase. Hidden while nobody waits.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayQueueMessage_ = function () {
+    var visible = this.queue_.length > 0;
+    if (this.queueMessage_ == null) {
+        if (!visible) {
+            return;
+        }
+        this.queueMessage_ = new PIXI.Text("", {fontFamily: "Arial", fontSize: 24, fill: "white"});
+        this.queueMessage_.anchor.set(0, 1);
+        this.queueMessage_.position.set(20, this.canvasHeight_ - 20);
+        this.container_.addChild(this.queueMessage_);
+    }
+    this.queueMessage_.visible = visible;
+    if (!visible) {
+        return;
+    }
+
+    var queueText = "Waiting for a ship\n";
+    for (var i = 0; i < this.queue_.length; i++) {
+        queueText += (i + 1) + ". " + (this.playerNames_[this.queue_[i]] || "Spectator") + "\n";
+    }
+    this.queueMessage_.text = queueText;
+};
+
+
+/**
+ * Shows the seconds left before play starts. Only shown in the countdown.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayCountdownMessage_ = function () {
+    var visible = this.lifecycle_.is(cast.games.starcast.Lifecycle.Phase.COUNTDOWN);
+    if (this.countdownMessage_ == null) {
+        if (!visible) {
+            return;
+        }
+        this.countdownMessage_ = new PIXI.Text("", {fontFamily: "Arial", fontSize: 200, fill: "white"});
+        this.countdownMessage_.anchor.set(0.5, 0.5);
+        this.countdownMessage_.position.set(this.canvasWidth_ / 2, this.canvasHeight_ / 2);
+        this.container_.addChild(this.countdownMessage_);
+    }
+    this.countdownMessage_.visible = visible;
+    if (!visible) {
+        return;
+    }
+
+    var countdownText = "" + Math.max(1, Math.ceil((this.countdownEndTime_ - Date.now()) / 1000));
+    // changing the text redraws it, so only do it when it changes
+    if (this.countdownMessage_.text != countdownText) {
+        this.countdownMessage_.text = countdownText;
+    }
+};
+
+/**
+ * Shows the seconds left before the receiver shuts down while everyone is
+ * gone. Hidden while players are connected.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayShutdownMessage_ = function () {
+    var visible = this.pauseTime_ != 0;
+    if (this.shutdownMessage_ == null) {
+        if (!visible) {
+            return;
+        }
+        this.shutdownMessage_ = new PIXI.Text("", {fontFamily: "Arial", fontSize: 40, fill: "white"});
+        this.shutdownMessage_.position.set(this.canvasWidth_ / 4, this.canvasHeight_ * 40 / 100);
+    }
+    // keep it on top of everything else
+    this.container_.addChild(this.shutdownMessage_);
+    this.shutdownMessage_.visible = visible;
+    if (!visible) {
+        return;
+    }
+
+    var shutdownText = "Everyone left\nClosing in " +
+        Math.max(0, Math.ceil((this.shutdownTime_ - Date.now()) / 1000)) + " s unless someone joins";
+    // changing the text redraws it, so only do it when it changes
+    if (this.shutdownMessage_.text != shutdownText) {
+        this.shutdownMessage_.text = shutdownText;
+    }
+};
+
+/**
+ * Tells players what the solved image shows and credits it as its license
+ * requires. The card goes to the right of the puzzle, or of the race boards.
+ * If the record is still being fetched, the card is shown once it arrives.
+ * @private
+ */
+cast.games.starcast.StarcastGame.prototype.displayRecordCard_ = function () {
+    var record = this.imageRecord_;
+    if (!record || this.recordCard_) {
+        return;
+    }
+    var cardText = (record.title || "Untitled") + "\n\n";
+    if (record.authors.length) {
+        cardText += "Author : " + record.authors.join(", ") + "\n";
+    }
+    if (record.year) {
+        cardText += "Year : " + record.year + "\n";
+    }
+    if (record.locations.length) {
+        cardText += "Location : " + record.locations.join(", ") + "\n";
+    }
+    if (record.organisations.length) {
+        cardText += "Organisation : " + record.organisations[record.organisations.length - 1] + "\n";
+    }
+    cardText += "\n" + cast.games.starcast.FinnaClient.getAttribution(record);
+
+    this.recordCard_ = new PIXI.Text(
+        cardText,
+        {fontFamily: "Arial", fontSize: 22, fill: "white", wordWrap: true, wordWrapWidth: this.canvasWidth_ / 4}
+    );
+    this.recordCard_.position.set(this.canvasWidth_ * 72 / 100, this.canvasHeight_ / 4);
+    this.container_.addChild(this.recordCard_);
+    this.roundMessages_.push(this.recordCard_);
 };
 
 cast.games.starcast.StarcastGame.prototype.displayCongratMessage = function () {
@@ -664,23 +3556,14 @@ cast.games.starcast.StarcastGame.prototype.displayCongratMessage = function () {
     );
     message.position.set(this.canvasWidth_ / 4, this.canvasHeight_ / 2);
     this.container_.addChild(message);
+    this.roundMessages_.push(message);
 };
 
-function flipPieceTween(piece) {
-    piece.flipped = !piece.flipped;
-    if (piece.scale.x == 0) {
-        createjs.Tween.get(piece.scale).to({x: 1}, 500);
-    } else {
+function flipPieceTween(piece, flipped) {
+    if (flipped) {
         createjs.Tween.get(piece.scale).to({x: 0}, 500);
-    }
-}
-
-function flipPiece(piece) {
-    piece.flipped = !piece.flipped;
-    if (piece.scale.x == 0) {
-        piece.scale.x = 1;
     } else {
-        piece.scale.x = 0;
+        createjs.Tween.get(piece.scale).to({x: piece.unflippedScaleX}, 500);
     }
 }
 
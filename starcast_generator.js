@@ -0,0 +1,233 @@
+/**
+ * Puzzle generator.
+ *
+ * Scrambles a solved board with moves picked by a seeded random number
+ * generator. The seed, the grid size, the image id, the mode and the
+ * difficulty together fully determine the scramble, so any session given the
+ * same values plays exactly the same board.
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.PuzzleGenerator = {};
+
+
+/**
+ * Named difficulty tiers.
+ * @enum {string}
+ */
+cast.games.starcast.PuzzleGenerator.Difficulty = {
+    EASY: 'easy',
+    NORMAL: 'normal',
+    HARD: 'hard',
+    EXPERT: 'expert'
+};
+
+
+/**
+ * Game modes, each playing with its own set of move types.
+ * @enum {string}
+ */
+cast.games.starcast.PuzzleGenerator.Mode = {
+    CLASSIC: 'classic',
+    DIAGONALS: 'diagonals',
+    LIGHTS_OUT: 'lightsOut',
+    BLOCKS: 'blocks'
+};
+
+
+/**
+ * Move types each game mode enables. Difficulty tiers may add more.
+ * @const {!Object.<string, !Array.<string>>}
+ */
+cast.games.starcast.PuzzleGenerator.MODE_MOVE_TYPES = {
+    'classic': ['ROW', 'COL'],
+    'diagonals': ['ROW', 'COL', 'DIAGONAL', 'MAIN_DIAGONAL'],
+    'lightsOut': ['PLUS'],
+    'blocks': ['ROW', 'COL', 'BLOCK']
+};
+
+
+/**
+ * What each difficulty tier generates. The optimal solution length of a
+ * generated board falls between minFraction and maxFraction of half the
+ * number of rows and columns, which is the longest optimal solution using
+ * rows and columns alone. Extra move types are allowed on top of the ones of
+ * the game mode, both for scrambling and for the players.
+ * @const {!Object.<string, {minFraction: number, maxFraction: number,
+ *     extraMoveTypes: !Array.<string>}>}
+ */
+cast.games.starcast.PuzzleGenerator.DIFFICULTY_SETTINGS = {
+    'easy': {minFraction: 0.15, maxFraction: 0.35, extraMoveTypes: []},
+    'normal': {minFraction: 0.35, maxFraction: 0.6, extraMoveTypes: ['DIAGONAL']},
+    'hard': {minFraction: 0.6, maxFraction: 0.85, extraMoveTypes: ['DIAGONAL']},
+    'expert': {minFraction: 0.85, maxFraction: 1.2, extraMoveTypes: ['DIAGONAL', 'MAIN_DIAGONAL']}
+};
+
+
+/**
+ * Boards tried before settling for the one closest to the target range.
+ * @const {number}
+ */
+cast.games.starcast.PuzzleGenerator.MAX_ATTEMPTS = 100;
+
+
+/**
+ * What to generate. Seed defaults to a new random one, mode to CLASSIC and
+ * difficulty to NORMAL.
+ * @typedef {{rows: number, cols: number, imageId: string,
+ *     seed: (string|undefined), mode: (string|undefined),
+ *     difficulty: (string|undefined)}}
+ */
+cast.games.starcast.PuzzleGenerator.Options;
+
+
+/**
+ * A generated puzzle, with the seed, mode and difficulty used to generate
+ * it, the move types players may use and its optimal solution.
+ * @typedef {{board: !cast.games.starcast.PuzzleBoard, seed: string,
+ *     mode: string, difficulty: string, moveTypes: !Array.<string>,
+ *     solution: !cast.games.starcast.PuzzleSolver.Solution}}
+ */
+cast.games.starcast.PuzzleGenerator.Puzzle;
+
+
+/**
+ * @param {*} difficulty
+ * @return {boolean} True if difficulty names a tier.
+ */
+cast.games.starcast.PuzzleGenerator.isValidDifficulty = function (difficulty) {
+    return typeof difficulty == 'string' &&
+        cast.games.starcast.PuzzleGenerator.DIFFICULTY_SETTINGS.hasOwnProperty(difficulty);
+};
+
+
+/**
+ * @param {*} mode
+ * @return {boolean} True if mode names a game mode.
+ */
+cast.games.starcast.PuzzleGenerator.isValidMode = function (mode) {
+    return typeof mode == 'string' &&
+        cast.games.starcast.PuzzleGenerator.MODE_MOVE_TYPES.hasOwnProperty(mode);
+};
+
+
+/**
+ * Returns the move types players may use in a game mode at a difficulty.
+ * @param {string} mode
+ * @param {string} difficulty
+ * @return {!Array.<string>}
+ */
+cast.games.starcast.PuzzleGenerator.getMoveTypes = function (mode, difficulty) {
+    var Generator = cast.games.starcast.PuzzleGenerator;
+    var moveTypes = Generator.MODE_MOVE_TYPES[mode].slice();
+    var extraMoveTypes = Generator.DIFFICULTY_SETTINGS[difficulty].extraMoveTypes;
+    for (var i = 0; i < extraMoveTypes.length; i++) {
+        if (moveTypes.indexOf(extraMoveTypes[i]) == -1) {
+            moveTypes.push(extraMoveTypes[i]);
+        }
+    }
+    return moveTypes;
+};
+
+
+/**
+ * Returns the range of optimal solution lengths a tier aims for on a grid.
+ * @param {string} difficulty
+ * @param {number} rows
+ * @param {number} cols
+ * @return {{min: number, max: number}}
+ */
+cast.games.starcast.PuzzleGenerator.getTargetRange = function (difficulty, rows, cols) {
+    var settings = cast.games.starcast.PuzzleGenerator.DIFFICULTY_SETTINGS[difficulty];
+    var scale = Math.floor((rows + cols) / 2);
+    var min = Math.max(1, Math.round(settings.minFraction * scale));
+    var max = Math.max(min, Math.round(settings.maxFraction * scale));
+    return {min: min, max: max};
+};
+
+
+/**
+ * Generates a scrambled board whose optimal solution length falls in the
+ * target range of the difficulty tier, or is as close to it as could be found.
+ * @param {!cast.games.starcast.PuzzleGenerator.Options} options
+ * @return {!cast.games.starcast.PuzzleGenerator.Puzzle}
+ */
+cast.games.starcast.PuzzleGenerator.generate = function (options) {
+    var Generator = cast.games.starcast.PuzzleGenerator;
+    var seed = options.seed || cast.games.starcast.Random.newSeed();
+    var mode = options.mode || Generator.Mode.CLASSIC;
+    var difficulty = options.difficulty || Generator.Difficulty.NORMAL;
+    var random = new cast.games.starcast.Random(
+        Generator.getSeedKey(seed, options.rows, options.cols, options.imageId, mode, difficulty));
+
+    var moveTypes = Generator.getMoveTypes(mode, difficulty);
+    var range = Generator.getTargetRange(difficulty, options.rows, options.cols);
+    var moves = new cast.games.starcast.PuzzleBoard(options.rows, options.cols).listMoves(moveTypes);
+
+    var best = null;
+    var bestDistance = Infinity;
+    for (var attempt = 0; attempt < Generator.MAX_ATTEMPTS; attempt++) {
+        var board = new cast.games.starcast.PuzzleBoard(options.rows, options.cols);
+
+        // apply a random number of distinct random moves from the target range,
+        // the optimal solution can only be shorter
+        var count = Math.min(moves.length, range.min + random.nextInt(range.max - range.min + 1));
+        Generator.shuffle_(moves, random);
+        for (var i = 0; i < count; i++) {
+            board.applyMove(moves[i].type, moves[i].index);
+        }
+
+        var solution = cast.games.starcast.PuzzleSolver.solve(board, moves);
+        var length = solution.moves.length;
+        var distance = length < range.min ? range.min - length :
+            length > range.max ? length - range.max : 0;
+        if (distance < bestDistance) {
+            best = {board: board, solution: solution};
+            bestDistance = distance;
+        }
+        if (distance == 0) {
+            break;
+        }
+    }
+
+    return {
+        board: best.board,
+        seed: seed,
+        mode: mode,
+        difficulty: difficulty,
+        moveTypes: moveTypes,
+        solution: best.solution
+    };
+};
+
+
+/**
+ * Combines everything that determines a scramble into the string the random
+ * number generator is seeded with.
+ * @param {string} seed
+ * @param {number} rows
+ * @param {number} cols
+ * @param {string} imageId
+ * @param {string} mode
+ * @param {string} difficulty
+ * @return {string}
+ */
+cast.games.starcast.PuzzleGenerator.getSeedKey = function (seed, rows, cols, imageId, mode, difficulty) {
+    return seed + ':' + rows + 'x' + cols + ':' + imageId + ':' + mode + ':' + difficulty;
+};
+
+
+/**
+ * Shuffles an array in place.
+ * @param {!Array} array
+ * @param {!cast.games.starcast.Random} random
+ * @private
+ */
+cast.games.starcast.PuzzleGenerator.shuffle_ = function (array, random) {
+    for (var i = array.length - 1; i > 0; i--) {
+        var j = random.nextInt(i + 1);
+        var temp = array[i];
+        array[i] = array[j];
+        array[j] = temp;
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * Move history.
+ *
+ * Remembers the moves made on a board so they can be undone and redone.
+ * Every move flips its cells back when applied a second time, so undoing a
+ * move means applying it again. Making a new move drops the moves that were
+ * undone since the last one.
+ *
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.MoveHistory = function () {
+    /** @private {!Array.<!cast.games.starcast.MoveHistory.Entry>} */
+    this.done_ = [];
+
+    /** @private {!Array.<!cast.games.starcast.MoveHistory.Entry>} */
+    this.undone_ = [];
+};
+
+
+/**
+ * A move in the history and the player that made it.
+ * @typedef {{type: string, index: number, playerId: ?string}}
+ */
+cast.games.starcast.MoveHistory.Entry;
+
+
+/**
+ * Records a new move.
+ * @param {!cast.games.starcast.MoveHistory.Entry} entry
+ */
+cast.games.starcast.MoveHistory.prototype.push = function (entry) {
+    this.done_.push(entry);
+    this.undone_ = [];
+};
+
+
+/** @return {boolean} True if there is a move to undo. */
+cast.games.starcast.MoveHistory.prototype.canUndo = function () {
+    return this.done_.length > 0;
+};
+
+
+/** @return {boolean} True if there is an undone move to redo. */
+cast.games.starcast.MoveHistory.prototype.canRedo = function () {
+    return this.undone_.length > 0;
+};
+
+
+/**
+ * Moves the last move to the undone moves.
+ * @return {?cast.games.starcast.MoveHistory.Entry} The move to apply again to
+ *     undo it, or null if there is none.
+ */
+cast.games.starcast.MoveHistory.prototype.undo = function () {
+    var entry = this.done_.pop() || null;
+    if (entry) {
+        this.undone_.push(entry);
+    }
+    return entry;
+};
+
+
+/**
+ * Moves the last undone move back to the moves.
+ * @return {?cast.games.starcast.MoveHistory.Entry} The move to apply again to
+ *     redo it, or null if there is none.
+ */
+cast.games.starcast.MoveHistory.prototype.redo = function () {
+    var entry = this.undone_.pop() || null;
+    if (entry) {
+        this.done_.push(entry);
+    }
+    return entry;
+};
+
+
+/** @return {!Array.<!cast.games.starcast.MoveHistory.Entry>} Moves in order. */
+cast.games.starcast.MoveHistory.prototype.getMoves = function () {
+    return this.done_.slice();
+};
+
+
+/**
+ * @return {!Array.<!cast.games.starcast.MoveHistory.Entry>} Undone moves, the
+ *     next one to redo last.
+ */
+cast.games.starcast.MoveHistory.prototype.getUndoneMoves = function () {
+    return this.undone_.slice();
+};
+
+
+/** Forgets every move. */
+cast.games.starcast.MoveHistory.prototype.clear = function () {
+    this.done_ = [];
+    this.undone_ = [];
+};
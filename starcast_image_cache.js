@@ -0,0 +1,382 @@
+/**
+ * Puzzle image cache.
+ *
+ * Keeps the last few decoded images in memory and the downloaded images in
+ * IndexedDB, both keyed by Finna record id, so replayed records load
+ * instantly. Images are prefetched one at a time in the background, so the
+ * next rounds do not wait on the network. Both stores are bounded, dropping
+ * the least recently used image first. Without IndexedDB only the memory
+ * store is used.
+ *
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.ImageCache = function () {
+    /**
+     * @private {!Array.<{id: string, image: !Image, objectUrl: ?string}>}
+     *     Decoded images, least recently used first.
+     */
+    this.memory_ = [];
+
+    /** @private {!Array.<{id: string, url: string}>} Images waiting to be prefetched. */
+    this.prefetchQueue_ = [];
+
+    /** @private {XMLHttpRequest} The running prefetch, null when idle. */
+    this.prefetchRequest_ = null;
+
+    /** @private {?string} Record id of the running prefetch. */
+    this.prefetchId_ = null;
+
+    /**
+     * @private {IDBDatabase|undefined} The database, null if there is none
+     *     to be had, undefined until opened.
+     */
+    this.db_ = undefined;
+
+    /** @private {!Array.<function(IDBDatabase)>} Waiting for the database to open. */
+    this.dbCallbacks_ = [];
+};
+
+
+/** @const {number} Most images kept decoded in memory. */
+cast.games.starcast.ImageCache.MAX_MEMORY_IMAGES = 6;
+
+
+/** @const {number} Most images kept in IndexedDB. */
+cast.games.starcast.ImageCache.MAX_STORED_IMAGES = 30;
+
+
+/** @const {number} Milliseconds a prefetch may take. */
+cast.games.starcast.ImageCache.PREFETCH_TIMEOUT_MS = 30000;
+
+
+/** @private {string} */
+cast.games.starcast.ImageCache.DB_NAME_ = 'starcast-images';
+
+
+/** @private {string} Object store of {id, blob, usedAt} records. */
+cast.games.starcast.ImageCache.STORE_NAME_ = 'images';
+
+
+/**
+ * Gets a cached image, from memory or else from IndexedDB.
+ * @param {string} recordId
+ * @param {function(Image)} callback Called with the decoded image, or null
+ *     if it is not cached.
+ */
+cast.games.starcast.ImageCache.prototype.get = function (recordId, callback) {
+    var image = this.getFromMemory_(recordId);
+    if (image) {
+        callback(image);
+        return;
+    }
+    this.read_(recordId, function (blob) {
+        if (!blob) {
+            callback(null);
+            return;
+        }
+        cast.games.starcast.ImageCache.decode_(blob, function (image, objectUrl) {
+            this.putInMemory_(recordId, image, objectUrl);
+            callback(image);
+        }.bind(this), function () {
+            callback(null);
+        });
+    }.bind(this));
+};
+
+
+/**
+ * Keeps a loaded image in memory.
+ * @param {string} recordId
+ * @param {!Image} image
+ */
+cast.games.starcast.ImageCache.prototype.put = function (recordId, image) {
+    this.putInMemory_(recordId, image, null);
+};
+
+
+/**
+ * Queues an image to be downloaded, stored and decoded. Does nothing if it
+ * is cached or queued already.
+ * @param {string} recordId
+ * @param {string} url
+ */
+cast.games.starcast.ImageCache.prototype.prefetch = function (recordId, url) {
+    if (this.getFromMemory_(recordId) || recordId == this.prefetchId_) {
+        return;
+    }
+    for (var i = 0; i < this.prefetchQueue_.length; i++) {
+        if (this.prefetchQueue_[i].id == recordId) {
+            return;
+        }
+    }
+    this.prefetchQueue_.push({id: recordId, url: url});
+    if (!this.prefetchId_) {
+        this.prefetchNext_();
+    }
+};
+
+
+/** Stops prefetching and forgets the queued images. */
+cast.games.starcast.ImageCache.prototype.cancelPrefetch = function () {
+    this.prefetchQueue_ = [];
+    if (this.prefetchRequest_) {
+        this.prefetchRequest_.abort();
+        this.prefetchRequest_ = null;
+    }
+    this.prefetchId_ = null;
+};
+
+
+/**
+ * Prefetches the first queued image, then the next.
+ * @private
+ */
+cast.games.starcast.ImageCache.prototype.prefetchNext_ = function () {
+    var next = this.prefetchQueue_.shift();
+    if (!next) {
+        this.prefetchId_ = null;
+        return;
+    }
+    var prefetchId = this.prefetchId_ = next.id;
+    var done = function () {
+        // unless cancelled meanwhile
+        if (this.prefetchId_ == prefetchId) {
+            this.prefetchNext_();
+        }
+    }.bind(this);
+    var fail = function (reason) {
+        console.log('Could not prefetch image ' + prefetchId + ': ' + reason);
+        done();
+    };
+
+    // a stored image only needs decoding
+    this.get(prefetchId, function (image) {
+        if (image || this.prefetchId_ != prefetchId) {
+            done();
+            return;
+        }
+        var request = this.prefetchRequest_ = new XMLHttpRequest();
+        request.open('GET', next.url);
+        request.responseType = 'blob';
+        request.timeout = cast.games.starcast.ImageCache.PREFETCH_TIMEOUT_MS;
+        request.onload = function () {
+            this.prefetchRequest_ = null;
+            if (request.status != 200) {
+                fail('HTTP status ' + request.status);
+                return;
+            }
+            var blob = request.response;
+            cast.games.starcast.ImageCache.decode_(blob, function (image, objectUrl) {
+                // the "no image" placeholder is no puzzle, so not worth keeping
+                if (cast.games.starcast.ImageLoader.isPlaceholder(image)) {
+                    URL.revokeObjectURL(objectUrl);
+                    fail('got the "no image" placeholder');
+                    return;
+                }
+                this.putInMemory_(prefetchId, image, objectUrl);
+                this.write_(prefetchId, blob);
+                done();
+            }.bind(this), fail);
+        }.bind(this);
+        request.onerror = function () {
+            this.prefetchRequest_ = null;
+            fail('could not load ' + next.url);
+        }.bind(this);
+        request.ontimeout = function () {
+            this.prefetchRequest_ = null;
+            fail('timed out loading ' + next.url);
+        }.bind(this);
+        request.send();
+    }.bind(this));
+};
+
+
+/**
+ * @param {string} recordId
+ * @return {Image} The decoded image, null if it is not in memory.
+ * @private
+ */
+cast.games.starcast.ImageCache.prototype.getFromMemory_ = function (recordId) {
+    for (var i = 0; i < this.memory_.length; i++) {
+        var entry = this.memory_[i];
+        if (entry.id == recordId) {
+            // most recently used last
+            this.memory_.splice(i, 1);
+            this.memory_.push(entry);
+            return entry.image;
+        }
+    }
+    return null;
+};
+
+
+/**
+ * @param {string} recordId
+ * @param {!Image} image
+ * @param {?string} objectUrl Object URL the image was decoded from, revoked
+ *     when the image is dropped.
+ * @private
+ */
+cast.games.starcast.ImageCache.prototype.putInMemory_ = function (recordId, image, objectUrl) {
+    for (var i = 0; i < this.memory_.length; i++) {
+        if (this.memory_[i].id == recordId) {
+            this.dropFromMemory_(i);
+            break;
+        }
+    }
+    this.memory_.push({id: recordId, image: image, objectUrl: objectUrl});
+    while (this.memory_.length > cast.games.starcast.ImageCache.MAX_MEMORY_IMAGES) {
+        this.dropFromMemory_(0);
+    }
+};
+
+
+/**
+ * @param {number} index
+ * @private
+ */
+cast.games.starcast.ImageCache.prototype.dropFromMemory_ = function (index) {
+    var entry = this.memory_.splice(index, 1)[0];
+    // textures made from the image keep their pixels
+    if (entry.objectUrl) {
+        URL.revokeObjectURL(entry.objectUrl);
+    }
+};
+
+
+/**
+ * Opens the database, once.
+ * @param {function(IDBDatabase)} callback Called with the database, or null
+ *     if there is none.
+ * @private
+ */
+cast.games.starcast.ImageCache.prototype.openDb_ = function (callback) {
+    if (this.db_ !== undefined) {
+        callback(this.db_);
+        return;
+    }
+    this.dbCallbacks_.push(callback);
+    if (this.dbCallbacks_.length > 1) {
+        return;
+    }
+    var opened = function (db) {
+        this.db_ = db;
+        var callbacks = this.dbCallbacks_;
+        this.dbCallbacks_ = [];
+        for (var i = 0; i < callbacks.length; i++) {
+            callbacks[i](db);
+        }
+    }.bind(this);
+    if (!window.indexedDB) {
+        opened(null);
+        return;
+    }
+
+    var request = window.indexedDB.open(cast.games.starcast.ImageCache.DB_NAME_, 1);
+    request.onupgradeneeded = function () {
+        var store = request.result.createObjectStore(cast.games.starcast.ImageCache.STORE_NAME_,
+            {keyPath: 'id'});
+        store.createIndex('usedAt', 'usedAt');
+    };
+    request.onsuccess = function () {
+        opened(request.result);
+    };
+    request.onerror = function () {
+        console.log('Could not open the image cache: ' + request.error);
+        opened(null);
+    };
+};
+
+
+/**
+ * Reads a stored image and marks it used.
+ * @param {string} recordId
+ * @param {function(Blob)} callback Called with the image, or null if it is
+ *     not stored.
+ * @private
+ */
+cast.games.starcast.ImageCache.prototype.read_ = function (recordId, callback) {
+    this.openDb_(function (db) {
+        if (!db) {
+            callback(null);
+            return;
+        }
+        var store = db.transaction(cast.games.starcast.ImageCache.STORE_NAME_, 'readwrite')
+            .objectStore(cast.games.starcast.ImageCache.STORE_NAME_);
+        var request = store.get(recordId);
+        request.onsuccess = function () {
+            var record = request.result;
+            if (record) {
+                record.usedAt = Date.now();
+                store.put(record);
+            }
+            callback(record ? record.blob : null);
+        };
+        request.onerror = function () {
+            callback(null);
+        };
+    });
+};
+
+
+/**
+ * Stores an image, dropping the least recently used ones beyond the limit.
+ * @param {string} recordId
+ * @param {!Blob} blob
+ * @private
+ */
+cast.games.starcast.ImageCache.prototype.write_ = function (recordId, blob) {
+    this.openDb_(function (db) {
+        if (!db) {
+            return;
+        }
+        var store = db.transaction(cast.games.starcast.ImageCache.STORE_NAME_, 'readwrite')
+            .objectStore(cast.games.starcast.ImageCache.STORE_NAME_);
+        store.put({id: recordId, blob: blob, usedAt: Date.now()});
+        var count = store.count();
+        count.onsuccess = function () {
+            var excess = count.result - cast.games.starcast.ImageCache.MAX_STORED_IMAGES;
+            if (excess <= 0) {
+                return;
+            }
+            store.index('usedAt').openCursor().onsuccess = function (event) {
+                var cursor = event.target.result;
+                if (cursor && excess-- > 0) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        };
+    });
+};
+
+
+/**
+ * Decodes an image ahead of its use, so showing it does not stall a frame.
+ * @param {!Blob} blob
+ * @param {function(!Image, string)} onImage Called with the image and the
+ *     object URL it was decoded from.
+ * @param {function(string)} onError Called with the reason it failed.
+ * @private
+ */
+cast.games.starcast.ImageCache.decode_ = function (blob, onImage, onError) {
+    var objectUrl = URL.createObjectURL(blob);
+    var image = new Image();
+    var failed = function () {
+        URL.revokeObjectURL(objectUrl);
+        onError('could not decode the image');
+    };
+    image.src = objectUrl;
+    if (image.decode) {
+        image.decode().then(function () {
+            onImage(image, objectUrl);
+        }, failed);
+    } else {
+        image.onload = function () {
+            onImage(image, objectUrl);
+        };
+        image.onerror = failed;
+    }
+};
@@ -0,0 +1,256 @@
+/**
+ * Puzzle image loading.
+ *
+ * Loads an image with CORS so it can be used as a texture, gives up on an
+ * attempt after a timeout and retries with exponential backoff. Finna answers
+ * records without a cover with a tiny "no image" placeholder, which is no
+ * puzzle either. When every attempt failed, or the placeholder came back, the
+ * fallback image is loaded instead, retried for as long as it takes. Every
+ * step is reported through onStatus.
+ * Given a cache, it is asked first and keeps the image once loaded.
+ *
+ * @param {string} url
+ * @param {string} fallbackUrl A bundled image that is always there.
+ * @param {function(!Image, boolean)} onLoad Called with the loaded image and
+ *     whether it is the fallback.
+ * @param {function(string, number, ?string)=} opt_onStatus Called with one of
+ *     cast.games.starcast.ImageLoader.Status, the attempt and, unless loading
+ *     or loaded, the reason.
+ * @param {cast.games.starcast.ImageCache=} opt_cache
+ * @param {string=} opt_cacheKey Key of the image in the cache, required with
+ *     a cache.
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.ImageLoader = function (url, fallbackUrl, onLoad, opt_onStatus, opt_cache, opt_cacheKey) {
+    /** @private {string} */
+    this.url_ = url;
+
+    /** @private {string} */
+    this.fallbackUrl_ = fallbackUrl;
+
+    /** @private {function(!Image, boolean)} */
+    this.onLoad_ = onLoad;
+
+    /** @private {function(string, number, ?string)} */
+    this.onStatus_ = opt_onStatus || function () {};
+
+    /** @private {number} Attempts at url made so far. */
+    this.attempt_ = 0;
+
+    /** @private {Image} The image being loaded, null when idle. */
+    this.image_ = null;
+
+    /** @private {?number} Timeout of the current attempt or backoff. */
+    this.timeoutId_ = null;
+
+    /** @private {?cast.games.starcast.ImageCache} */
+    this.cache_ = opt_cache || null;
+
+    /** @private {?string} */
+    this.cacheKey_ = opt_cacheKey || null;
+
+    /** @private {boolean} True once cancelled, so the cache lookup is ignored. */
+    this.isCancelled_ = false;
+};
+
+
+/**
+ * Steps of loading an image.
+ * @enum {string}
+ */
+cast.games.starcast.ImageLoader.Status = {
+    LOADING: 'loading',
+    RETRYING: 'retrying',
+    LOADED: 'loaded',
+    CACHED: 'cached',
+    FALLBACK: 'fallback',
+    FAILED: 'failed'
+};
+
+
+/** @const {number} Milliseconds an attempt may take. */
+cast.games.starcast.ImageLoader.TIMEOUT_MS = 15000;
+
+
+/** @const {number} Attempts at the image before falling back. */
+cast.games.starcast.ImageLoader.MAX_ATTEMPTS = 3;
+
+
+/** @const {number} Milliseconds before the first retry, doubled for each next one. */
+cast.games.starcast.ImageLoader.BACKOFF_MS = 1000;
+
+
+/** @const {number} Milliseconds between attempts at the fallback image. */
+cast.games.starcast.ImageLoader.FALLBACK_RETRY_MS = 5000;
+
+
+/**
+ * Images no wider or taller than this many pixels are taken for the "no
+ * image" placeholder.
+ * @const {number}
+ */
+cast.games.starcast.ImageLoader.PLACEHOLDER_SIZE = 16;
+
+
+/** Starts loading, from the cache if it has the image. */
+cast.games.starcast.ImageLoader.prototype.start = function () {
+    if (!this.cache_) {
+        this.tryNext_();
+        return;
+    }
+    this.cache_.get(/** @type {string} */ (this.cacheKey_), function (image) {
+        if (this.isCancelled_) {
+            return;
+        }
+        if (!image) {
+            this.tryNext_();
+            return;
+        }
+        this.onStatus_(cast.games.starcast.ImageLoader.Status.CACHED, 0, null);
+        this.onLoad_(image, false);
+    }.bind(this));
+};
+
+
+/**
+ * Makes the next attempt at the image.
+ * @private
+ */
+cast.games.starcast.ImageLoader.prototype.tryNext_ = function () {
+    this.attempt_++;
+    this.onStatus_(cast.games.starcast.ImageLoader.Status.LOADING, this.attempt_, null);
+    this.tryLoad_(this.url_, this.onAttemptLoaded_.bind(this), this.onAttemptFailed_.bind(this));
+};
+
+
+/** Stops loading. No callback is called afterwards. */
+cast.games.starcast.ImageLoader.prototype.cancel = function () {
+    this.isCancelled_ = true;
+    this.endAttempt_(true);
+};
+
+
+/**
+ * Stops listening to the current attempt and its timeout.
+ * @param {boolean} abort True to also stop a pending download, which must
+ *     not be done to an image that loaded.
+ * @private
+ */
+cast.games.starcast.ImageLoader.prototype.endAttempt_ = function (abort) {
+    clearTimeout(this.timeoutId_);
+    this.timeoutId_ = null;
+    if (this.image_) {
+        this.image_.onload = this.image_.onerror = null;
+        if (abort) {
+            this.image_.src = "";
+        }
+        this.image_ = null;
+    }
+};
+
+
+/**
+ * Loads an image once, giving up after the timeout.
+ * @param {string} url
+ * @param {function(!Image)} onLoad
+ * @param {function(string)} onError Called with the reason it failed.
+ * @private
+ */
+cast.games.starcast.ImageLoader.prototype.tryLoad_ = function (url, onLoad, onError) {
+    var image = this.image_ = new Image();
+    // textures need the image to be CORS approved
+    image.crossOrigin = 'anonymous';
+    image.onload = function () {
+        this.endAttempt_(false);
+        onLoad(image);
+    }.bind(this);
+    image.onerror = function () {
+        this.endAttempt_(false);
+        onError('could not load ' + url);
+    }.bind(this);
+    this.timeoutId_ = setTimeout(function () {
+        this.endAttempt_(true);
+        onError('timed out loading ' + url);
+    }.bind(this), cast.games.starcast.ImageLoader.TIMEOUT_MS);
+    image.src = url;
+};
+
+
+/**
+ * @param {!Image} image
+ * @private
+ */
+cast.games.starcast.ImageLoader.prototype.onAttemptLoaded_ = function (image) {
+    if (cast.games.starcast.ImageLoader.isPlaceholder(image)) {
+        // asking again gets the same placeholder
+        this.fallBack_('got the "no image" placeholder for ' + this.url_);
+        return;
+    }
+    if (this.cache_) {
+        this.cache_.put(/** @type {string} */ (this.cacheKey_), image);
+    }
+    this.onStatus_(cast.games.starcast.ImageLoader.Status.LOADED, this.attempt_, null);
+    this.onLoad_(image, false);
+};
+
+
+/**
+ * Retries after a backoff, or falls back once out of attempts.
+ * @param {string} reason
+ * @private
+ */
+cast.games.starcast.ImageLoader.prototype.onAttemptFailed_ = function (reason) {
+    var ImageLoader = cast.games.starcast.ImageLoader;
+    if (this.attempt_ >= ImageLoader.MAX_ATTEMPTS) {
+        this.fallBack_(reason);
+        return;
+    }
+    this.onStatus_(ImageLoader.Status.RETRYING, this.attempt_, reason);
+    this.timeoutId_ = setTimeout(this.tryNext_.bind(this),
+        ImageLoader.BACKOFF_MS * Math.pow(2, this.attempt_ - 1));
+};
+
+
+/**
+ * Loads the fallback image instead.
+ * @param {string} reason Why the image is not used.
+ * @private
+ */
+cast.games.starcast.ImageLoader.prototype.fallBack_ = function (reason) {
+    this.onStatus_(cast.games.starcast.ImageLoader.Status.FALLBACK, this.attempt_, reason);
+    this.tryFallback_(reason, false);
+};
+
+
+/**
+ * Makes an attempt at the fallback image, and another one a while after
+ * each failed one, since there is no puzzle without an image.
+ * @param {string} reason Why the image is not used.
+ * @param {boolean} hasFailed True if an attempt at the fallback failed, so
+ *     the fallback is reported again once it is in.
+ * @private
+ */
+cast.games.starcast.ImageLoader.prototype.tryFallback_ = function (reason, hasFailed) {
+    var ImageLoader = cast.games.starcast.ImageLoader;
+    this.tryLoad_(this.fallbackUrl_, function (image) {
+        if (hasFailed) {
+            this.onStatus_(ImageLoader.Status.FALLBACK, this.attempt_, reason);
+        }
+        this.onLoad_(image, true);
+    }.bind(this), function (fallbackReason) {
+        this.onStatus_(ImageLoader.Status.FAILED, this.attempt_, fallbackReason);
+        this.timeoutId_ = setTimeout(this.tryFallback_.bind(this, reason, true), ImageLoader.FALLBACK_RETRY_MS);
+    }.bind(this));
+};
+
+
+/**
+ * @param {!Image} image A loaded image.
+ * @return {boolean} True if it is too small to be anything but a placeholder.
+ */
+cast.games.starcast.ImageLoader.isPlaceholder = function (image) {
+    return image.naturalWidth <= cast.games.starcast.ImageLoader.PLACEHOLDER_SIZE ||
+        image.naturalHeight <= cast.games.starcast.ImageLoader.PLACEHOLDER_SIZE;
+};
@@ -0,0 +1,103 @@
+/**
+ * Game lifecycle.
+ *
+ * A game waits in the LOBBY while players join, counts down once the host
+ * starts it, is PLAYING until the board is over, and then shows the RESULTS
+ * until the host starts the next board or everyone goes back to the lobby.
+ * Listeners are told about every phase change.
+ *
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.Lifecycle = function () {
+    /** @private {string} One of cast.games.starcast.Lifecycle.Phase. */
+    this.phase_ = cast.games.starcast.Lifecycle.Phase.LOBBY;
+
+    /** @private {!Array.<function(string, string)>} */
+    this.listeners_ = [];
+};
+
+
+/**
+ * Phases of a game.
+ * @enum {string}
+ */
+cast.games.starcast.Lifecycle.Phase = {
+    LOBBY: 'lobby',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    RESULTS: 'results'
+};
+
+
+/**
+ * Phases each phase may change to.
+ * @const {!Object.<string, !Array.<string>>}
+ */
+cast.games.starcast.Lifecycle.TRANSITIONS = {
+    'lobby': ['countdown'],
+    'countdown': ['lobby', 'playing'],
+    'playing': ['lobby', 'results'],
+    'results': ['lobby', 'countdown']
+};
+
+
+/** @return {string} The current phase. */
+cast.games.starcast.Lifecycle.prototype.getPhase = function () {
+    return this.phase_;
+};
+
+
+/**
+ * @param {string} phase
+ * @return {boolean} True if the game is in this phase.
+ */
+cast.games.starcast.Lifecycle.prototype.is = function (phase) {
+    return this.phase_ == phase;
+};
+
+
+/**
+ * @param {string} phase
+ * @return {boolean} True if the game may change from the current phase to
+ *     this one.
+ */
+cast.games.starcast.Lifecycle.prototype.canMoveTo = function (phase) {
+    return cast.games.starcast.Lifecycle.TRANSITIONS[this.phase_].indexOf(phase) != -1;
+};
+
+
+/**
+ * Changes to another phase and notifies listeners with the new and the
+ * previous phase.
+ * @param {string} phase
+ */
+cast.games.starcast.Lifecycle.prototype.moveTo = function (phase) {
+    if (!this.canMoveTo(phase)) {
+        throw Error('Cannot go from the ' + this.phase_ + ' phase to the ' + phase + ' phase');
+    }
+    var previous = this.phase_;
+    this.phase_ = phase;
+    for (var i = 0; i < this.listeners_.length; i++) {
+        this.listeners_[i](phase, previous);
+    }
+};
+
+
+/**
+ * @param {function(string, string)} listener Called with the new and the
+ *     previous phase.
+ */
+cast.games.starcast.Lifecycle.prototype.addListener = function (listener) {
+    this.listeners_.push(listener);
+};
+
+
+/** @param {function(string, string)} listener */
+cast.games.starcast.Lifecycle.prototype.removeListener = function (listener) {
+    var index = this.listeners_.indexOf(listener);
+    if (index != -1) {
+        this.listeners_.splice(index, 1);
+    }
+};
@@ -37,6 +37,11 @@ var initialize = function() {
   var gameManager = new cast.receiver.games.GameManager(gameConfig);
   /** @suppress {missingRequire} */
   game = new cast.games.starcast.StarcastGame(gameManager);
+  // Load the puzzle images from fixtures/finna when started with ?offline.
+  if (/[?&]offline\b/.test(window.location.search)) {
+    game.finna = new cast.games.starcast.FinnaClient(
+        cast.games.starcast.FinnaClient.FIXTURE_URL);
+  }
 
   var startGame = function() {
     game.run(function() {
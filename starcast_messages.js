@@ -0,0 +1,134 @@
+/**
+ * Game message validation.
+ *
+ * Checks the extra message data senders attach to game messages against a
+ * small schema before the game acts on it. Problems are returned as
+ * structured errors the receiver sends back to the offending sender, instead
+ * of exceptions thrown inside GameManager event handlers.
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.MessageValidator = {};
+
+
+/**
+ * Error codes sent back to senders.
+ * @enum {string}
+ */
+cast.games.starcast.MessageValidator.ErrorCode = {
+    MALFORMED_MESSAGE: 'MALFORMED_MESSAGE',
+    MISSING_FIELD: 'MISSING_FIELD',
+    WRONG_TYPE: 'WRONG_TYPE',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    UNKNOWN_VALUE: 'UNKNOWN_VALUE',
+    MOVE_NOT_ALLOWED: 'MOVE_NOT_ALLOWED',
+    NOTHING_TO_UNDO: 'NOTHING_TO_UNDO',
+    NOTHING_TO_REDO: 'NOTHING_TO_REDO',
+    NOT_READY: 'NOT_READY',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    GAME_OVER: 'GAME_OVER',
+    OUT_OF_MOVES: 'OUT_OF_MOVES',
+    NOT_HOST: 'NOT_HOST',
+    WRONG_PHASE: 'WRONG_PHASE',
+    UNKNOWN_PLAYER: 'UNKNOWN_PLAYER',
+    SPECTATING: 'SPECTATING',
+    UPDATE_REQUIRED: 'UPDATE_REQUIRED',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION'
+};
+
+
+/**
+ * What a message field may hold. Type is a typeof result. Integer, min and
+ * max only apply to numbers, maxLength only to strings, values lists the only
+ * allowed values, and nullable allows null on top of the type.
+ * @typedef {{type: string, required: (boolean|undefined),
+ *     nullable: (boolean|undefined), integer: (boolean|undefined),
+ *     min: (number|undefined), max: (number|undefined),
+ *     maxLength: (number|undefined), values: (!Array|undefined)}}
+ */
+cast.games.starcast.MessageValidator.FieldSchema;
+
+
+/**
+ * A message schema, one field schema per field name. Fields not listed are
+ * ignored.
+ * @typedef {!Object.<string, !cast.games.starcast.MessageValidator.FieldSchema>}
+ */
+cast.games.starcast.MessageValidator.Schema;
+
+
+/**
+ * A structured error. Field is the offending message field, if any.
+ * @typedef {{code: string, field: ?string, message: string}}
+ */
+cast.games.starcast.MessageValidator.Error;
+
+
+/**
+ * @param {string} code One of cast.games.starcast.MessageValidator.ErrorCode.
+ * @param {?string} field
+ * @param {string} message Human readable description for sender logs.
+ * @return {!cast.games.starcast.MessageValidator.Error}
+ */
+cast.games.starcast.MessageValidator.newError = function (code, field, message) {
+    return {code: code, field: field, message: message};
+};
+
+
+/**
+ * Validates message data against a schema.
+ * @param {*} data The extra message data of a game message.
+ * @param {!cast.games.starcast.MessageValidator.Schema} schema
+ * @return {?cast.games.starcast.MessageValidator.Error} The first problem
+ *     found, or null if the data matches the schema.
+ */
+cast.games.starcast.MessageValidator.validate = function (data, schema) {
+    var Validator = cast.games.starcast.MessageValidator;
+    var ErrorCode = Validator.ErrorCode;
+    if (!data || typeof data != 'object' || Array.isArray(data)) {
+        return Validator.newError(ErrorCode.MALFORMED_MESSAGE, null,
+            'Expected a JSON object but received ' + JSON.stringify(data));
+    }
+
+    for (var field in schema) {
+        var fieldSchema = schema[field];
+        var value = data[field];
+        if (value === undefined || (value === null && fieldSchema.nullable)) {
+            if (value === undefined && fieldSchema.required) {
+                return Validator.newError(ErrorCode.MISSING_FIELD, field,
+                    'Missing required field ' + field);
+            }
+            continue;
+        }
+
+        if (typeof value != fieldSchema.type || value === null ||
+            (fieldSchema.type == 'number' && !isFinite(value))) {
+            return Validator.newError(ErrorCode.WRONG_TYPE, field,
+                'Expected ' + field + ' to be a ' + fieldSchema.type + ' but received ' +
+                JSON.stringify(value));
+        }
+        if (fieldSchema.integer && value % 1 != 0) {
+            return Validator.newError(ErrorCode.WRONG_TYPE, field,
+                'Expected ' + field + ' to be an integer but received ' + value);
+        }
+        if ((fieldSchema.min !== undefined && value < fieldSchema.min) ||
+            (fieldSchema.max !== undefined && value > fieldSchema.max)) {
+            var range = fieldSchema.max === undefined ? 'at least ' + fieldSchema.min :
+                fieldSchema.min === undefined ? 'at most ' + fieldSchema.max :
+                'between ' + fieldSchema.min + ' and ' + fieldSchema.max;
+            return Validator.newError(ErrorCode.OUT_OF_RANGE, field,
+                'Expected ' + field + ' ' + range + ' but received ' + value);
+        }
+        if (fieldSchema.maxLength !== undefined && value.length > fieldSchema.maxLength) {
+            return Validator.newError(ErrorCode.OUT_OF_RANGE, field,
+                'Expected ' + field + ' to be at most ' + fieldSchema.maxLength +
+                ' characters long but received ' + value.length);
+        }
+        if (fieldSchema.values && fieldSchema.values.indexOf(value) == -1) {
+            return Validator.newError(ErrorCode.UNKNOWN_VALUE, field,
+                'Expected ' + field + ' to be one of ' + fieldSchema.values.join(', ') +
+                ' but received ' + value);
+        }
+    }
+    return null;
+};
@@ -0,0 +1,129 @@
+/**
+ * Sender and receiver message protocol.
+ *
+ * Every game message is an envelope carrying the protocol version the sender
+ * speaks, a type discriminator and a type specific payload:
+ *
+ *   {version: 1, type: 'move', payload: {rowOrCol: 'ROW', numRowOrCol: 2}}
+ *
+ * Senders announce their version in the extra message data of their
+ * PLAYER_AVAILABLE request, e.g. {version: 1}. Senders older than
+ * MIN_VERSION, including ones sending the unversioned messages of the
+ * original receiver, get an UPDATE_REQUIRED error back instead of being
+ * silently ignored. See PROTOCOL.md for every message type and its payload.
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.Protocol = {};
+
+
+/**
+ * Protocol version spoken by this receiver. Bump it when changing the
+ * meaning of existing messages, and raise MIN_VERSION when old senders can no
+ * longer be served.
+ * @const {number}
+ */
+cast.games.starcast.Protocol.VERSION = 1;
+
+
+/**
+ * Oldest sender protocol version this receiver still understands.
+ * @const {number}
+ */
+cast.games.starcast.Protocol.MIN_VERSION = 1;
+
+
+/**
+ * Envelope field names.
+ * @const {string}
+ */
+cast.games.starcast.Protocol.VERSION_FIELD = 'version';
+cast.games.starcast.Protocol.TYPE_FIELD = 'type';
+cast.games.starcast.Protocol.PAYLOAD_FIELD = 'payload';
+
+
+/**
+ * Types of messages senders send to the receiver.
+ * @enum {string}
+ */
+cast.games.starcast.Protocol.MessageType = {
+    START: 'start',
+    MOVE: 'move',
+    UNDO: 'undo',
+    REDO: 'redo',
+    HINT: 'hint',
+    NEW_GAME: 'newGame',
+    SETTINGS: 'settings',
+    CHAT: 'chat',
+    PING: 'ping'
+};
+
+
+/**
+ * Types of messages the receiver sends to senders.
+ * @enum {string}
+ */
+cast.games.starcast.Protocol.ReplyType = {
+    WELCOME: 'welcome',
+    QUEUED: 'queued',
+    ERROR: 'error',
+    HINT: 'hint',
+    CHAT: 'chat',
+    PONG: 'pong',
+    IMAGE_STATUS: 'imageStatus'
+};
+
+
+/**
+ * Schema of the envelope. The version is checked separately by
+ * #checkVersion so outdated senders get a dedicated error.
+ * @const {!cast.games.starcast.MessageValidator.Schema}
+ */
+cast.games.starcast.Protocol.ENVELOPE_SCHEMA = {
+    'type': {
+        type: 'string',
+        required: true,
+        values: Object.keys(cast.games.starcast.Protocol.MessageType).map(function (key) {
+            return cast.games.starcast.Protocol.MessageType[key];
+        })
+    },
+    'payload': {type: 'object'}
+};
+
+
+/**
+ * Wraps a payload in an envelope.
+ * @param {string} type One of cast.games.starcast.Protocol.ReplyType.
+ * @param {!Object=} opt_payload
+ * @return {!Object}
+ */
+cast.games.starcast.Protocol.newMessage = function (type, opt_payload) {
+    var message = {};
+    message[cast.games.starcast.Protocol.VERSION_FIELD] = cast.games.starcast.Protocol.VERSION;
+    message[cast.games.starcast.Protocol.TYPE_FIELD] = type;
+    message[cast.games.starcast.Protocol.PAYLOAD_FIELD] = opt_payload || {};
+    return message;
+};
+
+
+/**
+ * Checks the protocol version a sender announced or put in a message.
+ * @param {*} version
+ * @return {?cast.games.starcast.MessageValidator.Error} UPDATE_REQUIRED for
+ *     missing or outdated versions, UNSUPPORTED_VERSION for versions newer
+ *     than this receiver, null if the version is supported.
+ */
+cast.games.starcast.Protocol.checkVersion = function (version) {
+    var Protocol = cast.games.starcast.Protocol;
+    var Validator = cast.games.starcast.MessageValidator;
+    if (typeof version != 'number' || version % 1 != 0 || version < Protocol.MIN_VERSION) {
+        return Validator.newError(Validator.ErrorCode.UPDATE_REQUIRED, Protocol.VERSION_FIELD,
+            'Please update the app. This receiver needs protocol version ' + Protocol.MIN_VERSION +
+            ' or newer but received ' + (version === undefined ? 'no version' : JSON.stringify(version)));
+    }
+    if (version > Protocol.VERSION) {
+        return Validator.newError(Validator.ErrorCode.UNSUPPORTED_VERSION, Protocol.VERSION_FIELD,
+            'This receiver speaks protocol version ' + Protocol.VERSION + ' but received ' + version);
+    }
+    return null;
+};
@@ -0,0 +1,175 @@
+/**
+ * Race between players on identically scrambled boards.
+ *
+ * Every player gets their own copy of the same starting board and only their
+ * own moves change it. The first player to solve their board wins and ends
+ * the race, which ends without a winner if every racer leaves first. The
+ * others are placed by how many moves their board still needs, then by how
+ * many moves they made.
+ *
+ * @param {!cast.games.starcast.PuzzleBoard} board The starting board. Not
+ *     changed by the race.
+ * @param {!Array.<string>} moveTypes Move types allowed in the race.
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.Race = function (board, moveTypes) {
+    /** @private {!Object} Serialized starting board every racer gets a copy of. */
+    this.startBoard_ = board.serialize();
+
+    /** @private {!Array.<string>} */
+    this.moveTypes_ = moveTypes;
+
+    /** @private {!Array.<string>} Racing player ids in the order they joined. */
+    this.playerIds_ = [];
+
+    /**
+     * @private {!Object.<string, {board: !cast.games.starcast.PuzzleBoard,
+     *     moveCount: number}>} Board and moves of each racing player.
+     */
+    this.racers_ = {};
+
+    /** @private {?string} The first player to solve their board. */
+    this.winnerId_ = null;
+
+    /** @private {boolean} True once every racer left before anyone won. */
+    this.isAbandoned_ = false;
+};
+
+
+/**
+ * Where a player finished.
+ * @typedef {{playerId: string, place: number, moveCount: number,
+ *     remainingMoves: number, solved: boolean}}
+ */
+cast.games.starcast.Race.Placement;
+
+
+/**
+ * Adds a player with a fresh copy of the starting board. Players already in
+ * the race keep their board.
+ * @param {string} playerId
+ * @return {!cast.games.starcast.PuzzleBoard} The player's board.
+ */
+cast.games.starcast.Race.prototype.addPlayer = function (playerId) {
+    if (!this.racers_[playerId]) {
+        this.playerIds_.push(playerId);
+        this.racers_[playerId] = {
+            board: cast.games.starcast.PuzzleBoard.deserialize(this.startBoard_),
+            moveCount: 0
+        };
+    }
+    return this.racers_[playerId].board;
+};
+
+
+/**
+ * Takes a player out of the race. Ends the race if they were the last racer.
+ * @param {string} playerId
+ */
+cast.games.starcast.Race.prototype.removePlayer = function (playerId) {
+    var index = this.playerIds_.indexOf(playerId);
+    if (index != -1) {
+        this.playerIds_.splice(index, 1);
+        delete this.racers_[playerId];
+        this.isAbandoned_ = this.playerIds_.length == 0 && !this.isFinished();
+    }
+};
+
+
+/** @return {!Array.<string>} Racing player ids in the order they joined. */
+cast.games.starcast.Race.prototype.getPlayerIds = function () {
+    return this.playerIds_.slice();
+};
+
+
+/**
+ * @param {string} playerId
+ * @return {?cast.games.starcast.PuzzleBoard} The player's board, or null if
+ *     they are not racing.
+ */
+cast.games.starcast.Race.prototype.getBoard = function (playerId) {
+    return this.racers_[playerId] ? this.racers_[playerId].board : null;
+};
+
+
+/**
+ * @param {string} playerId
+ * @return {number} Moves the player made.
+ */
+cast.games.starcast.Race.prototype.getMoveCount = function (playerId) {
+    return this.racers_[playerId] ? this.racers_[playerId].moveCount : 0;
+};
+
+
+/**
+ * Makes a move on a player's board. Ends the race if it solves the board.
+ * @param {string} playerId
+ * @param {string} type
+ * @param {number} index
+ */
+cast.games.starcast.Race.prototype.applyMove = function (playerId, type, index) {
+    var racer = this.racers_[playerId];
+    if (!racer) {
+        throw Error('Player ' + playerId + ' is not racing');
+    }
+    if (this.isFinished()) {
+        throw Error('The race is over');
+    }
+    racer.board.applyMove(type, index);
+    racer.moveCount++;
+    if (racer.board.isSolved()) {
+        this.winnerId_ = playerId;
+    }
+};
+
+
+/**
+ * @return {boolean} True once a player solved their board, or every racer
+ *     left.
+ */
+cast.games.starcast.Race.prototype.isFinished = function () {
+    return this.winnerId_ != null || this.isAbandoned_;
+};
+
+
+/** @return {?string} The player who solved their board first, null if none did. */
+cast.games.starcast.Race.prototype.getWinner = function () {
+    return this.winnerId_;
+};
+
+
+/**
+ * Ranks the racing players. Players with equal results share a place.
+ * @return {!Array.<!cast.games.starcast.Race.Placement>} Best first.
+ */
+cast.games.starcast.Race.prototype.getPlacements = function () {
+    var placements = this.playerIds_.map(function (playerId) {
+        var racer = this.racers_[playerId];
+        var solution = cast.games.starcast.PuzzleSolver.solve(racer.board,
+            racer.board.listMoves(this.moveTypes_));
+        return {
+            playerId: playerId,
+            place: 0,
+            moveCount: racer.moveCount,
+            remainingMoves: solution ? solution.moves.length : Infinity,
+            solved: racer.board.isSolved()
+        };
+    }, this);
+
+    var winnerId = this.winnerId_;
+    placements.sort(function (a, b) {
+        return (b.playerId == winnerId) - (a.playerId == winnerId) ||
+            a.remainingMoves - b.remainingMoves ||
+            a.moveCount - b.moveCount;
+    });
+    for (var i = 0; i < placements.length; i++) {
+        var previous = placements[i - 1];
+        var tied = previous && previous.playerId != winnerId &&
+            previous.remainingMoves == placements[i].remainingMoves &&
+            previous.moveCount == placements[i].moveCount;
+        placements[i].place = tied ? previous.place : i + 1;
+    }
+    return placements;
+};
@@ -0,0 +1,63 @@
+/**
+ * Seeded pseudo random number generator.
+ *
+ * Same seed, same sequence, on every receiver and sender. Used instead of
+ * Math.random() wherever a result has to be reproducible, e.g. scrambling a
+ * board that another session must be able to play again.
+ *
+ * @param {string} seed Any string. Hashed into the 32 bit generator state.
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.Random = function (seed) {
+    /** @private {number} */
+    this.state_ = cast.games.starcast.Random.hash_(seed);
+};
+
+
+/**
+ * Creates a new seed for games that did not ask for a specific one.
+ * @return {string}
+ */
+cast.games.starcast.Random.newSeed = function () {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+};
+
+
+/**
+ * @return {number} The next number in the sequence, in [0, 1).
+ */
+cast.games.starcast.Random.prototype.next = function () {
+    // mulberry32, small and good enough for shuffling game boards.
+    this.state_ = (this.state_ + 0x6d2b79f5) | 0;
+    var t = this.state_;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+
+/**
+ * @param {number} max
+ * @return {number} The next integer in the sequence, in [0, max).
+ */
+cast.games.starcast.Random.prototype.nextInt = function (max) {
+    return Math.floor(this.next() * max);
+};
+
+
+/**
+ * 32 bit FNV-1a hash of a string.
+ * @param {string} text
+ * @return {number}
+ * @private
+ */
+cast.games.starcast.Random.hash_ = function (text) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash | 0;
+};
@@ -0,0 +1,85 @@
+/**
+ * Per player scores.
+ *
+ * Counts the moves each player made and the points they earned, and ranks
+ * the players by their contribution. How many points a move is worth is up
+ * to the game.
+ *
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.Scoreboard = function () {
+    /** @private {!Array.<string>} Scored player ids in the order they scored. */
+    this.playerIds_ = [];
+
+    /** @private {!Object.<string, !cast.games.starcast.Scoreboard.Score>} */
+    this.scores_ = {};
+};
+
+
+/**
+ * The moves and points of a player. Place is only set in rankings.
+ * @typedef {{playerId: string, moveCount: number, points: number,
+ *     place: (number|undefined)}}
+ */
+cast.games.starcast.Scoreboard.Score;
+
+
+/**
+ * Adds to the score of a player.
+ * @param {string} playerId
+ * @param {number} moves Moves to add, negative to take moves back.
+ * @param {number} points Points to add, negative to take points off.
+ */
+cast.games.starcast.Scoreboard.prototype.add = function (playerId, moves, points) {
+    var score = this.scores_[playerId];
+    if (!score) {
+        score = this.scores_[playerId] = {playerId: playerId, moveCount: 0, points: 0};
+        this.playerIds_.push(playerId);
+    }
+    score.moveCount += moves;
+    score.points += points;
+};
+
+
+/**
+ * @param {string} playerId
+ * @return {!cast.games.starcast.Scoreboard.Score} The player's score, zero if
+ *     they did not score yet.
+ */
+cast.games.starcast.Scoreboard.prototype.getScore = function (playerId) {
+    var score = this.scores_[playerId];
+    return {
+        playerId: playerId,
+        moveCount: score ? score.moveCount : 0,
+        points: score ? score.points : 0
+    };
+};
+
+
+/**
+ * Ranks the players by points, then by fewest moves. Players with equal
+ * scores share a place.
+ * @return {!Array.<!cast.games.starcast.Scoreboard.Score>} Best first.
+ */
+cast.games.starcast.Scoreboard.prototype.getRanking = function () {
+    var ranking = this.playerIds_.map(this.getScore, this);
+    ranking.sort(function (a, b) {
+        return b.points - a.points || a.moveCount - b.moveCount;
+    });
+    for (var i = 0; i < ranking.length; i++) {
+        var previous = ranking[i - 1];
+        var tied = previous && previous.points == ranking[i].points &&
+            previous.moveCount == ranking[i].moveCount;
+        ranking[i].place = tied ? previous.place : i + 1;
+    }
+    return ranking;
+};
+
+
+/** Forgets every score. */
+cast.games.starcast.Scoreboard.prototype.clear = function () {
+    this.playerIds_ = [];
+    this.scores_ = {};
+};
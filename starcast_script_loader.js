@@ -29,6 +29,20 @@ loadScriptsNoCache([
   'https://www.gstatic.com/cast/sdk/libs/receiver/2.0.0/cast_receiver.js',
   'https://www.gstatic.com/cast/sdk/libs/games/1.0.0/cast_games_receiver.js',
   "https://code.createjs.com/tweenjs-0.6.2.min.js",
+    'starcast_board.js',
+    'starcast_solver.js',
+    'starcast_random.js',
+    'starcast_generator.js',
+    'starcast_history.js',
+    'starcast_turns.js',
+    'starcast_race.js',
+    'starcast_scores.js',
+    'starcast_lifecycle.js',
+    'starcast_messages.js',
+    'starcast_protocol.js',
+    'starcast_finna.js',
+    'starcast_images.js',
+    'starcast_image_cache.js',
     'starcast_game.js',
     'starcast_main.js'
 ]);
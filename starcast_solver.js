@@ -0,0 +1,290 @@
+/**
+ * Puzzle solver.
+ *
+ * Every move flips a fixed set of cells and flipping twice cancels out, so a
+ * board is a vector over GF(2) and a solution is a subset of moves whose cell
+ * sets add up to it. The solver reduces that linear system with Gaussian
+ * elimination and then searches the null space (combinations of moves that
+ * cancel out, e.g. every row plus every column) for the smallest subset.
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.PuzzleSolver = {};
+
+
+/**
+ * Largest null space searched exhaustively. Each extra dimension doubles the
+ * search, 2^20 combinations still finish in well under a second on a
+ * Chromecast. Larger spaces fall back to a local search.
+ * @const {number}
+ */
+cast.games.starcast.PuzzleSolver.MAX_EXACT_NULLITY = 20;
+
+
+/**
+ * A move on the board.
+ * @typedef {{type: string, index: number}}
+ */
+cast.games.starcast.PuzzleSolver.Move;
+
+
+/**
+ * Result of #solve. Exact is false when the null space was too large to
+ * search exhaustively, in which case moves is short but maybe not minimal.
+ * @typedef {{moves: !Array.<!cast.games.starcast.PuzzleSolver.Move>,
+ *     exact: boolean}}
+ */
+cast.games.starcast.PuzzleSolver.Solution;
+
+
+/**
+ * Finds the smallest list of moves that solves the board.
+ * @param {!cast.games.starcast.PuzzleBoard} board
+ * @param {!Array.<!cast.games.starcast.PuzzleSolver.Move>=} opt_moves Moves the
+ *     solution may use. Defaults to every move on the board.
+ * @return {?cast.games.starcast.PuzzleSolver.Solution} Null if the board
+ *     cannot be solved with the given moves.
+ */
+cast.games.starcast.PuzzleSolver.solve = function (board, opt_moves) {
+    var Solver = cast.games.starcast.PuzzleSolver;
+    var moves = opt_moves || board.listMoves();
+    var rows = board.getRows();
+    var cols = board.getCols();
+    var words = Math.ceil(moves.length / 32) || 1;
+
+    // One equation per cell: which moves touch it, and whether it has to end
+    // up flipped an odd number of times.
+    var equations = [];
+    var targets = [];
+    for (var i = 0; i < rows * cols; i++) {
+        equations.push(Solver.newVector_(words));
+        targets.push(0);
+    }
+    for (var row = 0; row < rows; row++) {
+        for (var col = 0; col < cols; col++) {
+            targets[row * cols + col] = board.isFlipped(row, col) ? 1 : 0;
+        }
+    }
+    for (var m = 0; m < moves.length; m++) {
+        var cells = board.getMoveCells(moves[m].type, moves[m].index);
+        for (i = 0; i < cells.length; i++) {
+            var cellEquation = equations[cells[i].row * cols + cells[i].col];
+            Solver.flipBit_(cellEquation, m);
+        }
+    }
+
+    // Reduce to row echelon form, remembering the pivot row of each move.
+    var pivotRowOfMove = [];
+    var rank = 0;
+    for (m = 0; m < moves.length && rank < equations.length; m++) {
+        var pivot = -1;
+        for (i = rank; i < equations.length; i++) {
+            if (Solver.getBit_(equations[i], m)) {
+                pivot = i;
+                break;
+            }
+        }
+        if (pivot == -1) {
+            pivotRowOfMove.push(-1);
+            continue;
+        }
+        Solver.swap_(equations, rank, pivot);
+        Solver.swap_(targets, rank, pivot);
+        for (i = 0; i < equations.length; i++) {
+            if (i != rank && Solver.getBit_(equations[i], m)) {
+                Solver.xorInto_(equations[i], equations[rank]);
+                targets[i] ^= targets[rank];
+            }
+        }
+        pivotRowOfMove.push(rank);
+        rank++;
+    }
+    while (pivotRowOfMove.length < moves.length) {
+        pivotRowOfMove.push(-1);
+    }
+
+    // Any remaining equation reads 0 = target, so a set target means there is
+    // no solution.
+    for (i = rank; i < equations.length; i++) {
+        if (targets[i]) {
+            return null;
+        }
+    }
+
+    // Particular solution with every free move unused, plus one null space
+    // vector per free move.
+    var solution = Solver.newVector_(words);
+    var nullSpace = [];
+    for (m = 0; m < moves.length; m++) {
+        if (pivotRowOfMove[m] != -1) {
+            if (targets[pivotRowOfMove[m]]) {
+                Solver.flipBit_(solution, m);
+            }
+            continue;
+        }
+        var vector = Solver.newVector_(words);
+        Solver.flipBit_(vector, m);
+        for (var p = 0; p < moves.length; p++) {
+            if (pivotRowOfMove[p] != -1 &&
+                Solver.getBit_(equations[pivotRowOfMove[p]], m)) {
+                Solver.flipBit_(vector, p);
+            }
+        }
+        nullSpace.push(vector);
+    }
+
+    var exact = nullSpace.length <= Solver.MAX_EXACT_NULLITY;
+    var best = exact ?
+        Solver.searchExhaustively_(solution, nullSpace) :
+        Solver.searchLocally_(solution, nullSpace);
+
+    var result = [];
+    for (m = 0; m < moves.length; m++) {
+        if (Solver.getBit_(best, m)) {
+            result.push({type: moves[m].type, index: moves[m].index});
+        }
+    }
+    return {moves: result, exact: exact};
+};
+
+
+/**
+ * Visits every combination of null space vectors in Gray code order, so each
+ * step only adds a single vector, and keeps the lightest result.
+ * @param {!Uint32Array} solution
+ * @param {!Array.<!Uint32Array>} nullSpace
+ * @return {!Uint32Array}
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.searchExhaustively_ = function (solution, nullSpace) {
+    var Solver = cast.games.starcast.PuzzleSolver;
+    var current = new Uint32Array(solution);
+    var best = new Uint32Array(solution);
+    var bestWeight = Solver.weight_(best);
+    var combinations = Math.pow(2, nullSpace.length);
+    for (var step = 1; step < combinations; step++) {
+        // The bit that changes between Gray codes step - 1 and step is the
+        // lowest set bit of step.
+        var changed = 0;
+        while (!(step & (1 << changed))) {
+            changed++;
+        }
+        Solver.xorInto_(current, nullSpace[changed]);
+        var weight = Solver.weight_(current);
+        if (weight < bestWeight) {
+            bestWeight = weight;
+            best.set(current);
+        }
+    }
+    return best;
+};
+
+
+/**
+ * Adds null space vectors, and then pairs of them, for as long as that makes
+ * the solution lighter.
+ * @param {!Uint32Array} solution
+ * @param {!Array.<!Uint32Array>} nullSpace
+ * @return {!Uint32Array}
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.searchLocally_ = function (solution, nullSpace) {
+    var Solver = cast.games.starcast.PuzzleSolver;
+    var best = new Uint32Array(solution);
+    var bestWeight = Solver.weight_(best);
+    var candidate = new Uint32Array(solution.length);
+    var improved = true;
+    while (improved) {
+        improved = false;
+        for (var i = 0; i < nullSpace.length; i++) {
+            for (var j = i; j < nullSpace.length; j++) {
+                candidate.set(best);
+                Solver.xorInto_(candidate, nullSpace[i]);
+                if (j != i) {
+                    Solver.xorInto_(candidate, nullSpace[j]);
+                }
+                var weight = Solver.weight_(candidate);
+                if (weight < bestWeight) {
+                    bestWeight = weight;
+                    best.set(candidate);
+                    improved = true;
+                }
+            }
+        }
+    }
+    return best;
+};
+
+
+/**
+ * @param {number} words
+ * @return {!Uint32Array} A bit vector with every bit cleared.
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.newVector_ = function (words) {
+    return new Uint32Array(words);
+};
+
+
+/**
+ * @param {!Uint32Array} vector
+ * @param {number} bit
+ * @return {boolean}
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.getBit_ = function (vector, bit) {
+    return (vector[bit >>> 5] & (1 << (bit & 31))) != 0;
+};
+
+
+/**
+ * @param {!Uint32Array} vector
+ * @param {number} bit
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.flipBit_ = function (vector, bit) {
+    vector[bit >>> 5] ^= 1 << (bit & 31);
+};
+
+
+/**
+ * @param {!Uint32Array} target Modified in place.
+ * @param {!Uint32Array} source
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.xorInto_ = function (target, source) {
+    for (var i = 0; i < target.length; i++) {
+        target[i] ^= source[i];
+    }
+};
+
+
+/**
+ * @param {!Uint32Array} vector
+ * @return {number} Number of set bits.
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.weight_ = function (vector) {
+    var count = 0;
+    for (var i = 0; i < vector.length; i++) {
+        var word = vector[i];
+        while (word) {
+            word &= word - 1;
+            count++;
+        }
+    }
+    return count;
+};
+
+
+/**
+ * @param {!Array} array
+ * @param {number} a
+ * @param {number} b
+ * @private
+ */
+cast.games.starcast.PuzzleSolver.swap_ = function (array, a, b) {
+    var temp = array[a];
+    array[a] = array[b];
+    array[b] = temp;
+};
@@ -0,0 +1,87 @@
+/**
+ * Turn order.
+ *
+ * Keeps the players of a turn based game in the order they joined and tracks
+ * whose turn it is. Players joining mid game queue up at the end, and a
+ * player leaving on their own turn hands it to the next one.
+ *
+ * @constructor
+ */
+cast.games = cast.games || {};
+cast.games.starcast = cast.games.starcast || {};
+cast.games.starcast.TurnOrder = function () {
+    /** @private {!Array.<string>} Player ids in turn order. */
+    this.playerIds_ = [];
+
+    /** @private {number} Index of the player whose turn it is. */
+    this.current_ = 0;
+};
+
+
+/**
+ * Adds a player at the end of the turn order.
+ * @param {string} playerId
+ */
+cast.games.starcast.TurnOrder.prototype.add = function (playerId) {
+    if (this.playerIds_.indexOf(playerId) == -1) {
+        this.playerIds_.push(playerId);
+    }
+};
+
+
+/**
+ * Removes a player. If it was their turn, the next player's turn starts.
+ * @param {string} playerId
+ */
+cast.games.starcast.TurnOrder.prototype.remove = function (playerId) {
+    var index = this.playerIds_.indexOf(playerId);
+    if (index == -1) {
+        return;
+    }
+    this.playerIds_.splice(index, 1);
+    if (index < this.current_) {
+        this.current_--;
+    }
+    if (this.current_ >= this.playerIds_.length) {
+        this.current_ = 0;
+    }
+};
+
+
+/** @return {?string} Id of the player whose turn it is, null if none. */
+cast.games.starcast.TurnOrder.prototype.getCurrent = function () {
+    return this.playerIds_.length ? this.playerIds_[this.current_] : null;
+};
+
+
+/**
+ * @param {string} playerId
+ * @return {boolean} True if it is this player's turn.
+ */
+cast.games.starcast.TurnOrder.prototype.isTurnOf = function (playerId) {
+    return this.getCurrent() == playerId;
+};
+
+
+/**
+ * Hands the turn to the next player.
+ * @return {?string} Id of the player whose turn it is now.
+ */
+cast.games.starcast.TurnOrder.prototype.advance = function () {
+    if (this.playerIds_.length) {
+        this.current_ = (this.current_ + 1) % this.playerIds_.length;
+    }
+    return this.getCurrent();
+};
+
+
+/** Gives the turn back to the first player. */
+cast.games.starcast.TurnOrder.prototype.restart = function () {
+    this.current_ = 0;
+};
+
+
+/** @return {!Array.<string>} Player ids in turn order. */
+cast.games.starcast.TurnOrder.prototype.getPlayerIds = function () {
+    return this.playerIds_.slice();
+};